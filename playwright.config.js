@@ -0,0 +1,12 @@
+import { defineConfig } from '@playwright/test';
+
+// Runs the spec files written by `npm run export:specs`. Playwright's own
+// output goes under test-results/playwright so the analyzer's files in
+// test-results/ are left alone.
+export default defineConfig({
+  testDir: 'tests',
+  outputDir: 'test-results/playwright',
+  use: {
+    baseURL: process.env.TEST_URL || 'http://localhost:3000'
+  }
+});
@@ -0,0 +1,164 @@
+import { parse as parseYAML } from 'yaml';
+import { FingerprintMatcher } from './element-fingerprint.js';
+
+const DEFAULT_THRESHOLD = 0.7;
+
+export const LANDMARK_ROLES = ['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search'];
+
+export const INTERACTIVE_ROLES = [
+  'button', 'checkbox', 'combobox', 'link', 'listbox', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+  'option', 'radio', 'searchbox', 'slider', 'spinbutton', 'switch', 'tab', 'textbox', 'treeitem'
+];
+
+// Weight of each clue in the match score; clues the descriptor lacks are
+// left out and the rest rescaled
+const WEIGHTS = {
+  name: 0.6,
+  description: 0.2,
+  landmarks: 0.2
+};
+
+// Elements of a page's accessibility tree (Playwright's aria snapshot) with
+// their role, accessible name and enclosing landmarks. Finds the element
+// best matching a role and a possibly renamed label, and the interactive
+// elements that have no accessible name.
+export class AccessibilityTree {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    this.text = new FingerprintMatcher();
+  }
+
+  // Flat list of the elements under `root` (page, frame, frame locator or
+  // shadow host locator), in document order: { role, name, text, landmarks }
+  async snapshot(root) {
+    // Locators snapshot themselves; pages and frames snapshot their body
+    const target = typeof root.count === 'function' ? root : root.locator('body');
+    const yaml = await target.ariaSnapshot({ timeout: 5000 });
+
+    const nodes = [];
+    this.flatten(parseYAML(yaml) || [], [], nodes);
+    return nodes;
+  }
+
+  flatten(items, landmarks, nodes) {
+    for (const item of [items].flat()) {
+      if (item == null) continue;
+      const [key, value] = typeof item === 'object' ? Object.entries(item)[0] || [] : [String(item), null];
+      if (!key || key.startsWith('/')) continue;
+
+      const node = this.parseKey(key);
+      if (!node || node.role === 'text') continue;
+      node.text = typeof value === 'string' || typeof value === 'number' ? String(value) : '';
+      node.landmarks = landmarks;
+      nodes.push(node);
+
+      if (Array.isArray(value)) {
+        const inner = LANDMARK_ROLES.includes(node.role) ? [...landmarks, { role: node.role, name: node.name }] : landmarks;
+        this.flatten(value, inner, nodes);
+      }
+    }
+  }
+
+  // 'button "Save changes" [disabled]' -> { role, name, states }
+  parseKey(key) {
+    const match = key.match(/^([a-z]+)(?:\s+"((?:[^"\\]|\\.)*)")?((?:\s+\[[^\]]*\])*)\s*$/);
+    if (!match) return null;
+
+    let name = match[2] || '';
+    try {
+      name = JSON.parse(`"${name}"`);
+    } catch {
+      // Kept as written
+    }
+    const states = [...match[3].matchAll(/\[([^\]]*)\]/g)].map(state => state[1]);
+    return { role: match[1], name, states };
+  }
+
+  // Best element with `target.role` whose name, text and landmarks match
+  // `target` at or above the threshold: { node, score, steps }. `steps` is
+  // the getByRole chain locating it: scoped to its innermost landmark and
+  // indexed when its role and name are not unique. When several elements
+  // tie for the best score the chain matches them all, leaving the choice
+  // to strict matching.
+  async match(root, target) {
+    if (!target.role || !(target.name || target.description)) return null;
+    const nodes = await this.snapshot(root);
+
+    let best = null;
+    let tied = false;
+    for (const node of nodes) {
+      if (node.role !== target.role) continue;
+      const score = this.score(target, node);
+      tied = best !== null && score === best.score ? true : tied && score < best.score;
+      if (!best || score > best.score) best = { node, score };
+    }
+    if (!best || best.score < this.threshold) return null;
+
+    const steps = tied ? [{ role: best.node.role, name: best.node.name, nth: null }] : this.steps(nodes, best.node);
+    return { ...best, steps };
+  }
+
+  score(target, node) {
+    const clues = {
+      name: target.name ? this.nameSimilarity(target.name, node.name) : null,
+      description: target.description ? this.nameSimilarity(target.description, node.name || node.text) : null,
+      landmarks: target.landmarks ? this.landmarkSimilarity(target.landmarks, node.landmarks) : null
+    };
+
+    const used = Object.keys(WEIGHTS).filter(clue => clues[clue] !== null);
+    const total = used.reduce((sum, clue) => sum + WEIGHTS[clue], 0);
+    const score = used.reduce((sum, clue) => sum + WEIGHTS[clue] * clues[clue], 0) / total;
+    return Math.round(score * 1000) / 1000;
+  }
+
+  // Bigram similarity, raised when every word of one name appears in the
+  // other ('Save' -> 'Save changes')
+  nameSimilarity(a = '', b = '') {
+    const words = value => value.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const left = words(a);
+    const right = words(b);
+    const dice = this.text.textSimilarity(left.join(' '), right.join(' '));
+    if (left.length === 0 || right.length === 0) return dice;
+
+    const [shorter, longer] = left.length <= right.length ? [left, right] : [right, left];
+    const contained = shorter.every(word => longer.includes(word));
+    return contained ? Math.max(dice, 0.6 + 0.4 * (shorter.length / longer.length)) : dice;
+  }
+
+  // Landmark roles compared from the innermost outwards; names count half
+  landmarkSimilarity(a, b) {
+    if (a.length === 0 && b.length === 0) return 1;
+    const left = [...a].reverse();
+    const right = [...b].reverse();
+
+    let total = 0;
+    for (let i = 0; i < Math.min(left.length, right.length); i++) {
+      if (left[i].role !== right[i].role) break;
+      total += 0.5 + 0.5 * this.text.textSimilarity(left[i].name || '', right[i].name || '');
+    }
+    return total / Math.max(left.length, right.length);
+  }
+
+  steps(nodes, node) {
+    // getByRole without a name matches every element of the role
+    const selects = (query, n) => n.role === query.role && (!query.name || n.name === query.name);
+    const landmark = node.landmarks[node.landmarks.length - 1];
+    const scoped = landmark && nodes.filter(n => selects(landmark, n)).length === 1;
+
+    const siblings = nodes.filter(n => selects(node, n) && (!scoped || n.landmarks.includes(landmark)));
+    const target = { role: node.role, name: node.name, nth: siblings.length > 1 ? siblings.indexOf(node) : null };
+    return scoped ? [{ role: landmark.role, name: landmark.name, nth: null }, target] : [target];
+  }
+
+  // Interactive elements without an accessible name: { role, text, landmarks }
+  async unnamedInteractive(root) {
+    const nodes = await this.snapshot(root);
+    return nodes
+      .filter(node => INTERACTIVE_ROLES.includes(node.role) && !node.name.trim())
+      .map(node => ({
+        role: node.role,
+        text: node.text,
+        landmarks: node.landmarks.map(l => (l.name ? `${l.role} "${l.name}"` : l.role)).join(' > ')
+      }));
+  }
+}
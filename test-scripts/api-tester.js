@@ -3,6 +3,9 @@ import { readFileSync, existsSync, writeFileSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { OpenAPISpec } from './openapi-spec.js';
+import { ContractValidator } from './contract-validator.js';
+import { resolveRequests } from './http-call-extractor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -12,6 +15,11 @@ export class APITester {
     this.baseURL = baseURL;
     this.results = [];
     this.changeDetails = this.loadChangeDetails();
+    this.spec = null;
+    this.contracts = new ContractValidator();
+    // URLs of records created during the run, deleted when it ends
+    this.createdResources = new Set();
+    this.cleanup = [];
   }
 
   loadChangeDetails() {
@@ -25,14 +33,27 @@ export class APITester {
   async runAPITests() {
     console.log('Starting API tests for changed endpoints...');
     
+    this.spec = await OpenAPISpec.load();
+    if (this.spec) {
+      console.log(`Using OpenAPI spec ${this.spec.relativeFile()} (${this.spec.operations.length} operations)`);
+    }
+    
     const apiChanges = this.getAPIChanges();
     if (apiChanges.length === 0) {
       console.log('No API changes detected. Running critical path tests only.');
       return this.runCriticalAPITests();
     }
 
-    for (const change of apiChanges) {
-      await this.testChangedEndpoint(change);
+    try {
+      for (const change of apiChanges) {
+        await this.testChangedEndpoint(change);
+      }
+      
+      for (const flow of this.buildCrudFlows(apiChanges)) {
+        await this.runCrudFlow(flow);
+      }
+    } finally {
+      await this.cleanupResources();
     }
 
     this.saveResults();
@@ -43,15 +64,34 @@ export class APITester {
     const apiChanges = [];
     
     Object.entries(this.changeDetails.files).forEach(([file, data]) => {
-      if (file.includes('api/') || file.includes('services/')) {
+      const httpCalls = data.httpCalls || {};
+      if (file.includes('api/') || file.includes('services/') || Object.keys(httpCalls).length > 0) {
         Object.entries(data.functions).forEach(([funcName, changeType]) => {
-          apiChanges.push({
-            file,
-            function: funcName,
-            changeType,
-            lines: data.lines,
-            endpoint: this.deriveEndpoint(file, funcName),
+          const requests = resolveRequests(httpCalls[funcName], () => ({
+            path: this.deriveEndpoint(file, funcName),
             method: this.deriveHTTPMethod(funcName)
+          }));
+          
+          requests.forEach(request => {
+            const change = {
+              file,
+              function: funcName,
+              changeType,
+              lines: data.lines,
+              endpoint: request.path,
+              method: request.method,
+              traced: request.traced
+            };
+            
+            // The spec is authoritative for method, path and test data
+            const operation = this.spec?.findOperation(change);
+            if (operation) {
+              change.operation = operation;
+              change.endpoint = operation.path;
+              change.method = operation.method;
+            }
+            
+            apiChanges.push(change);
           });
         });
       }
@@ -71,6 +111,9 @@ export class APITester {
       endpoint: change.endpoint,
       method: change.method,
       changeType: change.changeType,
+      operation: change.operation
+        ? change.operation.operationId || `${change.operation.method} ${change.operation.specPath}`
+        : null,
       tests: []
     };
 
@@ -109,21 +152,28 @@ export class APITester {
       }
     }
 
-    result.success = success;
+    // Reaching the endpoint is not enough: failing cases (including
+    // contract drift) fail the test
+    result.success = success && result.tests.every(test => test.success);
     result.healingUsed = healingUsed;
     this.results.push(result);
   }
 
   async executeEndpointTest(endpoint, method, change) {
-    const url = `${this.baseURL}${endpoint}`;
     const testCases = this.generateTestCases(method, change);
     const results = [];
 
     for (const testCase of testCases) {
+      const query = testCase.query && Object.keys(testCase.query).length > 0
+        ? `?${new URLSearchParams(testCase.query)}`
+        : '';
+      const url = `${this.baseURL}${this.fillPathParams(endpoint, testCase.params)}${query}`;
+      
       try {
         const startTime = Date.now();
         const response = await this.makeRequest(url, method, testCase.data, testCase.headers);
         const duration = Date.now() - startTime;
+        this.trackCreated(method, url, response);
 
         const validationResults = this.validateResponse(
           response, 
@@ -131,6 +181,17 @@ export class APITester {
           testCase.validations,
           change
         );
+        
+        const contract = this.checkContract(endpoint, method, testCase, response);
+        if (contract) {
+          validationResults.details.push(contract);
+          if (!contract.passed) {
+            validationResults.success = false;
+            contract.issues.forEach(issue => {
+              console.log(`  Contract drift in "${testCase.name}": ${issue.path} ${issue.kind} (expected ${issue.expected}, got ${issue.actual})`);
+            });
+          }
+        }
 
         results.push({
           case: testCase.name,
@@ -157,7 +218,224 @@ export class APITester {
     };
   }
 
+  // Changed endpoints grouped by resource collection (/users and
+  // /users/:id both belong to /users). Nested collections are skipped as
+  // they need a parent record.
+  buildCrudFlows(apiChanges) {
+    const flows = new Map();
+    
+    for (const change of apiChanges) {
+      if (!change.endpoint) continue;
+      const segments = change.endpoint.replace(/\/$/, '').split('/');
+      const isItem = segments[segments.length - 1].startsWith(':');
+      const collection = (isItem ? segments.slice(0, -1) : segments).join('/');
+      if (!collection || collection.includes(':')) continue;
+      
+      // With a spec, only resources it documents as creatable
+      if (this.spec && !this.spec.findOperation({ method: 'POST', endpoint: collection })) continue;
+      
+      const flow = flows.get(collection) || { collection, item: `${collection}/:id`, updateMethod: 'PUT', changes: [] };
+      if (isItem) flow.item = change.endpoint;
+      if (change.method === 'PATCH') flow.updateMethod = 'PATCH';
+      flow.changes.push(change);
+      flows.set(collection, flow);
+    }
+    
+    return [...flows.values()];
+  }
+
+  // create -> read back -> update -> verify update -> delete -> verify 404,
+  // chained on the ID returned by the create call. Stops at the first
+  // failing step; the record is still removed by cleanupResources().
+  async runCrudFlow(flow) {
+    const name = `CRUD flow: ${flow.collection}`;
+    console.log(`Testing: ${name}`);
+    
+    const result = {
+      name,
+      type: 'crud-flow',
+      endpoint: flow.collection,
+      functions: flow.changes.map(change => change.function),
+      steps: []
+    };
+    
+    const createData = this.flowPayload('POST', flow.collection, flow.changes[0]);
+    const create = await this.flowStep('create', 'POST', flow.collection, createData, [200, 201]);
+    result.steps.push(create.outcome);
+    
+    if ([404, 405, 501].includes(create.outcome.status)) {
+      result.skipped = `POST ${flow.collection} is not supported`;
+      result.success = true;
+      this.results.push(result);
+      return;
+    }
+    
+    const id = create.response ? this.extractId(create.response) : null;
+    if (create.outcome.success && id == null) {
+      create.outcome.success = false;
+      create.outcome.error = 'Create response has no id';
+    }
+    
+    if (create.outcome.success) {
+      result.id = id;
+      const itemPath = this.fillPathParams(flow.item, { id });
+      const updateData = this.updatedPayload(this.flowPayload(flow.updateMethod, flow.item, flow.changes[0]));
+      
+      const steps = [
+        { name: 'read', method: 'GET', expected: [200], verify: createData },
+        { name: 'update', method: flow.updateMethod, data: updateData, expected: [200, 204] },
+        { name: 'verify update', method: 'GET', expected: [200], verify: updateData },
+        { name: 'delete', method: 'DELETE', expected: [200, 202, 204] },
+        { name: 'verify delete', method: 'GET', expected: [404, 410] }
+      ];
+      
+      for (const step of steps) {
+        const { outcome } = await this.flowStep(step.name, step.method, itemPath, step.data, step.expected, step.verify);
+        result.steps.push(outcome);
+        if (step.name === 'delete' && outcome.success) {
+          this.createdResources.delete(`${this.baseURL}${itemPath}`);
+        }
+        if (!outcome.success) break;
+      }
+    }
+    
+    result.success = result.steps.length === 6 && result.steps.every(step => step.success);
+    this.results.push(result);
+  }
+
+  async flowStep(name, method, endpoint, data, expected, verify = null) {
+    const url = `${this.baseURL}${endpoint}`;
+    const outcome = { step: name, method, url, expected };
+    
+    try {
+      const startTime = Date.now();
+      const response = await this.makeRequest(url, method, data);
+      outcome.duration = Date.now() - startTime;
+      outcome.status = response.status;
+      this.trackCreated(method, url, response);
+      
+      outcome.success = expected.includes(response.status);
+      if (outcome.success && verify) {
+        outcome.mismatches = this.mismatchedFields(verify, this.unwrap(response.data));
+        outcome.success = outcome.mismatches.length === 0;
+      }
+      return { outcome, response };
+    } catch (error) {
+      outcome.success = false;
+      outcome.error = error.message;
+      return { outcome, response: null };
+    }
+  }
+
+  flowPayload(method, endpoint, change) {
+    const operation = this.spec?.findOperation({ method, endpoint });
+    if (operation?.requestBody) return this.spec.sample(operation.requestBody);
+    return this.generateTestData(change);
+  }
+
+  // Changes the free-text fields so the update is observable
+  updatedPayload(data) {
+    const updated = { ...data };
+    for (const [key, value] of Object.entries(updated)) {
+      if (typeof value === 'string' && !/id$|email|password|url|date|time|status|type|role/i.test(key)) {
+        updated[key] = `${value} updated`;
+      }
+    }
+    return updated;
+  }
+
+  // Top-level fields of `expected` the response returns with a different
+  // value; fields it does not echo (passwords and the like) are ignored
+  mismatchedFields(expected, actual) {
+    if (!expected || typeof expected !== 'object') return [];
+    if (!actual || typeof actual !== 'object') return ['$'];
+    
+    return Object.entries(expected)
+      .filter(([key, value]) => value === null || typeof value !== 'object')
+      .filter(([key, value]) => key in actual && actual[key] !== value)
+      .map(([key]) => `$.${key}`);
+  }
+
+  // { data: {...} } envelopes are common; the record is inside
+  unwrap(body) {
+    if (body?.data && typeof body.data === 'object' && !Array.isArray(body.data)) return body.data;
+    return body;
+  }
+
+  extractId(response) {
+    const body = this.unwrap(response.data);
+    const id = body?.id ?? body?._id ?? body?.uuid;
+    if (id != null) return String(id);
+    
+    const location = response.headers?.location;
+    return location ? location.replace(/\/$/, '').split('/').pop() : null;
+  }
+
+  // Remembers records created by successful POSTs so they can be removed
+  trackCreated(method, url, response) {
+    if (method !== 'POST' || response.status < 200 || response.status >= 300) return;
+    const id = this.extractId(response);
+    if (id != null) {
+      this.createdResources.add(`${url.split('?')[0].replace(/\/$/, '')}/${encodeURIComponent(id)}`);
+    }
+  }
+
+  async cleanupResources() {
+    for (const url of this.createdResources) {
+      try {
+        const response = await this.makeRequest(url, 'DELETE');
+        this.cleanup.push({ url, status: response.status, removed: response.status < 300 || response.status === 404 });
+      } catch (error) {
+        this.cleanup.push({ url, removed: false, error: error.message });
+      }
+    }
+    
+    const leftover = this.cleanup.filter(entry => !entry.removed);
+    if (this.cleanup.length > 0) {
+      console.log(`Cleaned up ${this.cleanup.length - leftover.length}/${this.cleanup.length} created records`);
+    }
+    this.createdResources.clear();
+  }
+
+  // Validates the body against the OpenAPI response schema, else against the
+  // schema recorded from an earlier response of the same endpoint and status.
+  // Unrecorded responses become the baseline; UPDATE_API_CONTRACTS=true
+  // re-records them instead of checking.
+  checkContract(endpoint, method, testCase, response) {
+    if (response.status !== testCase.expectedStatus) return null;
+    if (response.data == null || typeof response.data !== 'object') return null;
+    
+    const key = this.contracts.key(method, endpoint, response.status);
+    const recorded = this.contracts.recorded(key);
+    const updating = process.env.UPDATE_API_CONTRACTS === 'true';
+    
+    if (!recorded || updating) {
+      this.contracts.record(key, response.data);
+    }
+    
+    const schema = testCase.responseSchema || (updating ? null : recorded);
+    if (!schema) return null;
+    
+    const issues = this.contracts.validate(schema, response.data, testCase.responseSchema ? recorded : null);
+    return {
+      validation: 'schema',
+      source: testCase.responseSchema ? 'openapi' : 'recorded',
+      passed: issues.length === 0,
+      issues
+    };
+  }
+
+  fillPathParams(endpoint, params) {
+    if (!params) return endpoint;
+    const fallback = Object.values(params)[0] ?? '1';
+    return endpoint.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name] ?? fallback));
+  }
+
   generateTestCases(method, change) {
+    if (change.operation) {
+      return this.generateSpecTestCases(change.operation);
+    }
+    
     const cases = [];
     
     switch (method) {
@@ -172,14 +450,14 @@ export class APITester {
         if (change.function.includes('Id') || change.endpoint.includes(':id')) {
           cases.push({
             name: 'Get by ID',
-            endpoint: change.endpoint.replace(':id', '1'),
+            params: { id: '1' },
             expectedStatus: 200,
             validations: ['hasId', 'correctFormat']
           });
           
           cases.push({
             name: 'Get non-existent',
-            endpoint: change.endpoint.replace(':id', '999999'),
+            params: { id: '999999' },
             expectedStatus: 404,
             validations: ['errorFormat']
           });
@@ -202,19 +480,13 @@ export class APITester {
         });
         break;
         
+      // Updating and deleting existing records is covered by the CRUD
+      // flows, which work on records they created themselves
       case 'PUT':
       case 'PATCH':
-        cases.push({
-          name: 'Update valid',
-          endpoint: change.endpoint.replace(':id', '1'),
-          data: this.generateTestData(change),
-          expectedStatus: 200,
-          validations: ['dataUpdated']
-        });
-        
         cases.push({
           name: 'Update non-existent',
-          endpoint: change.endpoint.replace(':id', '999999'),
+          params: { id: '999999' },
           data: this.generateTestData(change),
           expectedStatus: 404,
           validations: ['errorFormat']
@@ -222,16 +494,9 @@ export class APITester {
         break;
         
       case 'DELETE':
-        cases.push({
-          name: 'Delete existing',
-          endpoint: change.endpoint.replace(':id', '1'),
-          expectedStatus: 204,
-          validations: []
-        });
-        
         cases.push({
           name: 'Delete non-existent',
-          endpoint: change.endpoint.replace(':id', '999999'),
+          params: { id: '999999' },
           expectedStatus: 404,
           validations: ['errorFormat']
         });
@@ -251,6 +516,77 @@ export class APITester {
     return cases;
   }
 
+  // Cases derived from the OpenAPI operation: its documented success
+  // response, schema-violating payloads for 400/422, unknown path
+  // parameters for 404 and a missing credential for 401/403
+  generateSpecTestCases(operation) {
+    const cases = [];
+    const codes = this.spec.statusCodes(operation);
+    const params = this.spec.parameterValues(operation, 'path');
+    const query = this.spec.parameterValues(operation, 'query');
+    const data = operation.requestBody ? this.spec.sample(operation.requestBody) : null;
+    const label = `${operation.method} ${operation.specPath}`;
+    
+    // Successful updates and deletes of existing records run in the CRUD flows
+    const success = codes.find(code => code >= 200 && code < 300);
+    const mutatesRecord = ['PUT', 'PATCH', 'DELETE'].includes(operation.method) && Object.keys(params).length > 0;
+    if (success && !mutatesRecord) {
+      const schema = this.spec.responseSchema(operation, success);
+      cases.push({
+        name: `${label} valid (${success})`,
+        params,
+        query,
+        data,
+        expectedStatus: success,
+        responseSchema: schema,
+        validations: schema && success !== 204 ? ['hasData', 'correctFormat'] : []
+      });
+    }
+    
+    const badRequest = codes.find(code => code === 400 || code === 422);
+    if (badRequest && operation.requestBody) {
+      this.spec.invalidSamples(operation.requestBody).forEach(invalid => {
+        cases.push({
+          name: `${label} invalid: ${invalid.name} (${badRequest})`,
+          params,
+          query,
+          data: invalid.data,
+          expectedStatus: badRequest,
+          responseSchema: this.spec.responseSchema(operation, badRequest),
+          validations: []
+        });
+      });
+    }
+    
+    if (codes.includes(404) && Object.keys(params).length > 0) {
+      const missing = Object.fromEntries(Object.keys(params).map(name => [name, '999999']));
+      cases.push({
+        name: `${label} non-existent (404)`,
+        params: missing,
+        query,
+        data,
+        expectedStatus: 404,
+        responseSchema: this.spec.responseSchema(operation, 404),
+        validations: []
+      });
+    }
+    
+    const unauthorized = codes.find(code => code === 401 || code === 403);
+    if (unauthorized && operation.security.length > 0) {
+      cases.push({
+        name: `${label} unauthorized (${unauthorized})`,
+        params,
+        query,
+        data,
+        headers: { Authorization: '' },
+        expectedStatus: unauthorized,
+        validations: []
+      });
+    }
+    
+    return cases;
+  }
+
   generateTestData(change) {
     // Generate test data based on function name and file
     const baseData = {
@@ -472,6 +808,8 @@ export class APITester {
   }
 
   saveResults() {
+    this.contracts.save();
+    
     const outputPath = path.join(__dirname, '../test-results/api-test-results.json');
     const summary = {
       timestamp: new Date().toISOString(),
@@ -479,6 +817,7 @@ export class APITester {
       passed: this.results.filter(r => r.success).length,
       failed: this.results.filter(r => !r.success).length,
       healingUsed: this.results.filter(r => r.healingUsed).length,
+      cleanup: this.cleanup,
       results: this.results
     };
     
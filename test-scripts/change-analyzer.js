@@ -2,59 +2,259 @@ import simpleGit from 'simple-git';
 import { parse } from '@babel/parser';
 import traverse from '@babel/traverse';
 import { glob } from 'glob';
+import { minimatch } from 'minimatch';
 import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 import { dirname } from 'path';
+import { DependencyGraph } from './dependency-graph.js';
+import { HttpCallExtractor } from './http-call-extractor.js';
+import { JsxSelectorExtractor } from './jsx-selector-extractor.js';
+import { RouteMap } from './route-map.js';
+import { ScenarioLoader } from './scenario-loader.js';
+import { loadConfigSection } from './config-section.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const git = simpleGit();
 
+const DEFAULT_CHANGE_DETECTION = {
+  enabled: true,
+  gitDiffDepth: 1,
+  includePatterns: ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx', '**/*.mjs'],
+  excludePatterns: ['**/node_modules/**', '**/dist/**', '**/build/**', '**/.git/**', '**/coverage/**']
+};
+
+function keyName(node, computed = false) {
+  if (!node || computed) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'StringLiteral' || node.type === 'NumericLiteral') return String(node.value);
+  if (node.type === 'PrivateName') return `#${node.id.name}`;
+  return null;
+}
+
+// `a.b.c = ...` -> "a.b.c"; a leading `this.` is dropped since the enclosing
+// class already qualifies the name
+function memberName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    const property = keyName(node.property, node.computed);
+    if (!property) return null;
+    if (node.object.type === 'ThisExpression') return property;
+    const object = memberName(node.object);
+    return object ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+// Name a value receives from where it is bound: variable, object key,
+// class property, member assignment or default export
+function bindingName(path) {
+  const { parent } = path;
+  switch (parent.type) {
+    case 'VariableDeclarator':
+      return parent.init === path.node ? keyName(parent.id) : null;
+    case 'ObjectProperty':
+    case 'ClassProperty':
+    case 'ClassPrivateProperty':
+    case 'ClassAccessorProperty':
+      return parent.value === path.node ? keyName(parent.key, parent.computed) : null;
+    case 'AssignmentExpression':
+      return parent.right === path.node ? memberName(parent.left) : null;
+    case 'ExportDefaultDeclaration':
+      return 'default';
+    default:
+      return null;
+  }
+}
+
+function functionName(path) {
+  const { node } = path;
+  switch (node.type) {
+    case 'FunctionDeclaration':
+      return node.id?.name || (path.parent.type === 'ExportDefaultDeclaration' ? 'default' : null);
+    case 'ObjectMethod':
+    case 'ClassMethod':
+    case 'ClassPrivateMethod':
+      return keyName(node.key, node.computed);
+    default:
+      // Function and arrow expressions take their binding's name
+      return bindingName(path) || node.id?.name || null;
+  }
+}
+
+// Name contributed by an enclosing scope to a function's qualified name
+function containerName(path) {
+  if (path.isFunction()) return functionName(path);
+  if (path.isClass()) return path.node.id?.name || bindingName(path);
+  if (path.isObjectExpression()) return bindingName(path);
+  return null;
+}
+
+const LAYOUT_KEYS = new Set([
+  'loc', 'start', 'end', 'range', 'extra',
+  'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+// Stable hash of an AST subtree that ignores positions, comments and raw
+// literal text, so only semantic edits change it
+function fingerprint(node) {
+  const json = JSON.stringify(node, (key, value) => (LAYOUT_KEYS.has(key) ? undefined : value));
+  return createHash('sha1').update(json || '').digest('hex');
+}
+
+function signatureOf(node) {
+  return {
+    params: node.params,
+    async: node.async,
+    generator: node.generator,
+    kind: node.kind,
+    static: node.static
+  };
+}
+
+const DEFAULT_ROUTE_DISCOVERY = {
+  manifest: 'routes.manifest.json',
+  params: {},
+  defaultParam: '1'
+};
+
 class ChangeAnalyzer {
+  constructor(configPath = path.join(__dirname, '../test-config.json')) {
+    this.config = this.loadConfig(configPath);
+    this.routeConfig = this.loadRouteConfig(configPath);
+    this.scenarios = new ScenarioLoader(ScenarioLoader.loadConfig(configPath));
+  }
+
+  loadRouteConfig(configPath) {
+    const config = loadConfigSection(configPath, 'routeDiscovery', DEFAULT_ROUTE_DISCOVERY);
+
+    if (config.manifest !== null && typeof config.manifest !== 'string') {
+      throw new Error(`${configPath}: routeDiscovery.manifest must be a file path or null`);
+    }
+    if (typeof config.params !== 'object' || Array.isArray(config.params)) {
+      throw new Error(`${configPath}: routeDiscovery.params must map parameter names to sample values`);
+    }
+
+    return config;
+  }
+
+  loadConfig(configPath) {
+    const config = loadConfigSection(configPath, 'changeDetection', DEFAULT_CHANGE_DETECTION);
+
+    if (typeof config.enabled !== 'boolean') {
+      throw new Error(`${configPath}: changeDetection.enabled must be a boolean`);
+    }
+    if (!Number.isInteger(config.gitDiffDepth) || config.gitDiffDepth < 1) {
+      throw new Error(`${configPath}: changeDetection.gitDiffDepth must be a positive integer`);
+    }
+    for (const key of ['includePatterns', 'excludePatterns']) {
+      if (!Array.isArray(config[key]) || config[key].some(p => typeof p !== 'string' || p === '')) {
+        throw new Error(`${configPath}: changeDetection.${key} must be an array of glob strings`);
+      }
+    }
+    if (config.includePatterns.length === 0) {
+      throw new Error(`${configPath}: changeDetection.includePatterns must not be empty`);
+    }
+
+    return config;
+  }
+
   async detectCodeChanges(options = {}) {
+    if (!this.config.enabled) {
+      console.log('Change detection disabled in test-config.json, analyzing all files');
+      return this.fallbackAnalysis();
+    }
+
     const changes = {
+      range: null,
       files: {},
-      summary: { added: 0, modified: 0, deleted: 0, totalChanges: 0 }
+      summary: { added: 0, modified: 0, deleted: 0, renamed: 0, totalChanges: 0 },
+      routeMap: [],
+      scenarios: []
     };
 
+    // A range asked for on the command line must resolve; only the default
+    // range falls back to the file system, in checkouts without history
+    let range;
     try {
-      // Get git diff with line numbers
-      const diffSummary = await git.diffSummary(['HEAD~1', 'HEAD']);
-      
-      for (const file of diffSummary.files) {
-        if (!this.isTestableFile(file.file)) continue;
+      range = await this.resolveDiffRange(options);
+    } catch (error) {
+      if (options.mode) throw new Error(`Cannot resolve the diff range: ${error.message.trim()}`);
+      console.error('Git history unavailable, analyzing all files:', error.message.trim());
+      return this.fallbackAnalysis();
+    }
+    changes.range = range.info;
+
+    try {
+      const graph = await this.buildDependencyGraph();
+      const routeMap = await this.buildRouteMap(graph);
+      changes.routeMap = routeMap.routes;
+
+      for (const entry of await this.listChangedFiles(range)) {
+        if (!this.isTestableFile(entry.file) &&
+            !(entry.previousFile && this.isTestableFile(entry.previousFile))) continue;
         
+        const basePath = entry.previousFile || entry.file;
         const fileChange = {
-          file: file.file,
+          file: entry.file,
+          status: entry.status,
+          previousFile: entry.previousFile,
           lines: { added: [], deleted: [], modified: [] },
           functions: {},
           hunks: [],
-          impact: []
+          impact: [],
+          httpCalls: {},
+          elements: [],
+          removedExports: [],
+          dependents: graph.getDependents(entry.file),
+          routes: routeMap.routesForFile(entry.file),
+          staleImporters: []
         };
 
         // Get detailed diff with line numbers
-        const detailedDiff = await git.diff(['HEAD~1', 'HEAD', '--', file.file]);
+        const paths = entry.previousFile ? [entry.previousFile, entry.file] : [entry.file];
+        const detailedDiff = await git.diff(['-M', ...range.args, '--', ...paths]);
         const lineChanges = this.parseGitDiff(detailedDiff);
         
         fileChange.lines = lineChanges.lines;
         fileChange.hunks = lineChanges.hunks;
         
-        // AST analysis for function-level changes
-        if (existsSync(file.file)) {
-          const content = readFileSync(file.file, 'utf8');
-          const ast = this.parseAST(content, file.file);
-          fileChange.functions = await this.detectFunctionChanges(ast, lineChanges.lines);
-          fileChange.impact = this.analyzeImpact(file.file, fileChange.functions);
+        // AST analysis for function-level changes, comparing both sides of the
+        // range; deleted files are analyzed from their base-side content
+        const content = await this.readHeadContent(entry.file, range);
+        const ast = content === null ? null : this.parseAST(content, entry.file);
+        const baseAst = this.parseBaseSide(await this.readBaseContent(basePath, range), basePath);
+        
+        if (ast || baseAst) {
+          const functionChanges = this.detectFunctionChanges(baseAst, ast);
+          fileChange.functions = functionChanges.functions;
+          fileChange.functionDetails = functionChanges.details;
+          fileChange.httpCalls = ast ? this.extractHttpCalls(ast, fileChange.functions, entry.file, graph) : {};
+          fileChange.elements = ast ? this.extractElements(ast) : [];
+          fileChange.impact = this.analyzeImpact(
+            entry.file, fileChange.functions, fileChange.dependents, fileChange.httpCalls
+          );
         }
         
-        changes.files[file.file] = fileChange;
-        changes.summary.totalChanges++;
+        // Exports that disappeared, and modules still importing them
+        const baseExports = baseAst ? this.collectExports(baseAst) : [];
+        const headExports = ast ? this.collectExports(ast) : [];
+        fileChange.removedExports = baseExports.filter(name => !headExports.includes(name));
+        
+        if (entry.status === 'deleted' || entry.status === 'renamed') {
+          // Every import of the old path is now broken
+          fileChange.staleImporters = graph.findImporters(basePath);
+        } else if (fileChange.removedExports.length > 0) {
+          fileChange.staleImporters = graph.findImporters(entry.file, fileChange.removedExports);
+        }
         
-        if (file.insertions > 0 && file.deletions === 0) changes.summary.added++;
-        else if (file.deletions > 0 && file.insertions === 0) changes.summary.deleted++;
-        else changes.summary.modified++;
+        changes.files[entry.file] = fileChange;
+        changes.summary.totalChanges++;
+        changes.summary[entry.status]++;
       }
     } catch (error) {
       console.error('Git analysis failed:', error);
@@ -62,11 +262,147 @@ class ChangeAnalyzer {
       return this.fallbackAnalysis();
     }
 
+    changes.scenarios = await this.selectScenarios(changes);
+
     // Save analysis results
     this.saveResults(changes);
     return changes;
   }
 
+  // Changed files in the range with rename detection. Copies count as added
+  // files and type changes as modifications.
+  async listChangedFiles(range) {
+    const output = await git.raw(['diff', '--name-status', '-M', ...range.args]);
+    const statuses = { A: 'added', C: 'added', D: 'deleted', M: 'modified', R: 'renamed', T: 'modified' };
+    
+    return output.split('\n').filter(Boolean).map(line => {
+      const [code, ...paths] = line.split('\t');
+      const status = statuses[code[0]] || 'modified';
+      
+      if (code[0] === 'R') return { status, previousFile: paths[0], file: paths[1] };
+      if (code[0] === 'C') return { status, previousFile: null, file: paths[1] };
+      return { status, previousFile: null, file: paths[0] };
+    });
+  }
+
+  // Resolves the analysis mode into `git diff` arguments plus a description of
+  // the analyzed range. Modes:
+  //   commit       - HEAD~<depth>..HEAD (default, depth from changeDetection.gitDiffDepth)
+  //   merge-base   - merge-base(<target>, HEAD)..HEAD, i.e. the whole branch
+  //   range        - an explicit `A..B` or `A...B` range
+  //   staged       - index vs HEAD
+  //   working-tree - working tree (staged and unstaged) vs HEAD
+  async resolveDiffRange(options = {}) {
+    const mode = options.mode || 'commit';
+    let base;
+    let head;
+    let args;
+
+    switch (mode) {
+      case 'commit': {
+        // Never reach past the root commit when history is shorter than the depth
+        const available = parseInt(await git.raw(['rev-list', '--count', 'HEAD'])) - 1;
+        const depth = Math.max(1, Math.min(options.depth || this.config.gitDiffDepth, available));
+        base = `HEAD~${depth}`;
+        head = 'HEAD';
+        args = [base, head];
+        break;
+      }
+
+      case 'merge-base': {
+        const target = options.target || 'main';
+        base = (await git.raw(['merge-base', target, 'HEAD'])).trim();
+        head = 'HEAD';
+        args = [base, head];
+        break;
+      }
+
+      case 'range': {
+        const match = (options.range || '').match(/^(.+?)(\.{2,3})(.*)$/);
+        if (!match) {
+          throw new Error(`Invalid diff range "${options.range}", expected A..B or A...B`);
+        }
+        head = match[3] || 'HEAD';
+        base = match[2] === '...'
+          ? (await git.raw(['merge-base', match[1], head])).trim()
+          : match[1];
+        args = [base, head];
+        break;
+      }
+
+      case 'staged':
+        base = 'HEAD';
+        head = 'INDEX';
+        args = ['--cached', base];
+        break;
+
+      case 'working-tree':
+        base = 'HEAD';
+        head = 'WORKTREE';
+        args = [base];
+        break;
+
+      default:
+        throw new Error(`Unknown diff mode "${mode}"`);
+    }
+
+    return {
+      mode,
+      base,
+      head,
+      args,
+      info: {
+        mode,
+        base,
+        head,
+        baseCommit: await this.resolveCommit(base),
+        headCommit: await this.resolveCommit(head),
+        target: options.target || null,
+        description: `${base}..${head}`
+      }
+    };
+  }
+
+  async resolveCommit(ref) {
+    if (ref === 'INDEX' || ref === 'WORKTREE') return null;
+    return (await git.revparse([ref])).trim();
+  }
+
+  async readBaseContent(file, range) {
+    try {
+      return await git.show([`${range.base}:${file}`]);
+    } catch {
+      // File does not exist on the base side (added)
+      return null;
+    }
+  }
+
+  parseBaseSide(content, file) {
+    if (content === null) return null;
+    try {
+      return this.parseAST(content, file);
+    } catch (error) {
+      console.warn(`Could not parse base version of ${file}, treating it as new: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Reads the head-side version of a file, which is only the file on disk
+  // when the working tree is being analyzed.
+  async readHeadContent(file, range) {
+    if (range.head === 'WORKTREE') {
+      return existsSync(file) ? readFileSync(file, 'utf8') : null;
+    }
+
+    const spec = range.head === 'INDEX' ? `:${file}` : `${range.head}:${file}`;
+    try {
+      return await git.show([spec]);
+    } catch {
+      // File does not exist on the head side (deleted)
+      return null;
+    }
+  }
+
   parseGitDiff(diff) {
     const lines = { added: [], deleted: [], modified: [] };
     const hunks = [];
@@ -118,7 +454,8 @@ class ChangeAnalyzer {
     const plugins = [];
     
     if (ext === '.ts' || ext === '.tsx') plugins.push('typescript');
-    if (ext === '.jsx' || ext === '.tsx') plugins.push('jsx');
+    // Plain .js files commonly contain JSX; only .ts excludes it (conflicts with <T> casts)
+    if (ext !== '.ts') plugins.push('jsx');
     
     return parse(content, {
       sourceType: 'module',
@@ -126,64 +463,181 @@ class ChangeAnalyzer {
     });
   }
 
-  async detectFunctionChanges(ast, lineChanges) {
+  // Matches functions of the base and head ASTs by qualified name and
+  // classifies each difference. Either side may be null (file added/deleted).
+  // Change types: added, deleted, renamed, moved, signature-changed and
+  // body-changed. Functions whose normalized AST is unchanged are omitted,
+  // so formatting and comment edits produce no function changes.
+  detectFunctionChanges(baseAst, headAst) {
+    const index = ast => {
+      const byName = new Map();
+      if (!ast) return byName;
+      for (const fn of this.collectFunctions(ast)) {
+        if (byName.has(fn.name)) continue;
+        byName.set(fn.name, {
+          ...fn,
+          leaf: fn.name.split('.').pop(),
+          signature: fingerprint(signatureOf(fn.node)),
+          body: fingerprint(fn.node.body)
+        });
+      }
+      return byName;
+    };
+    
+    const before = index(baseAst);
+    const after = index(headAst);
+    const details = {};
+    const report = (name, changeType, head, base, extra = {}) => {
+      details[name] = {
+        changeType,
+        ...extra,
+        lines: head ? { start: head.start, end: head.end } : null,
+        baseLines: base ? { start: base.start, end: base.end } : null
+      };
+    };
+    
+    for (const [name, head] of after) {
+      const base = before.get(name);
+      if (!base) continue;
+      if (base.signature !== head.signature) report(name, 'signature-changed', head, base);
+      else if (base.body !== head.body) report(name, 'body-changed', head, base);
+    }
+    
+    const removed = [...before.values()].filter(fn => !after.has(fn.name));
+    const added = [...after.values()].filter(fn => !before.has(fn.name));
+    
+    // An identical function under a new name is a move (same leaf name in a
+    // different container) or a rename
+    for (const head of added) {
+      const candidates = removed.filter(base =>
+        base.signature === head.signature && base.body === head.body
+      );
+      const ambiguous = candidates.length > 1 ||
+        added.some(other => other !== head && other.body === head.body);
+      const match = candidates.find(base => base.leaf === head.leaf) ||
+        (ambiguous ? null : candidates[0]);
+      
+      if (match) {
+        removed.splice(removed.indexOf(match), 1);
+        report(head.name, match.leaf === head.leaf ? 'moved' : 'renamed', head, match, { previousName: match.name });
+      } else {
+        report(head.name, 'added', head, null);
+      }
+    }
+    
+    for (const base of removed) {
+      report(base.name, 'deleted', null, base);
+    }
+    
     const functions = {};
-    const allLines = [...lineChanges.added, ...lineChanges.modified, ...lineChanges.deleted];
+    Object.entries(details).forEach(([name, detail]) => {
+      functions[name] = detail.changeType;
+    });
+    
+    return { functions, details };
+  }
+
+  // HTTP requests made by each changed (non-deleted) function, keyed by
+  // qualified function name: [{ client, method, path, endpoint, line }].
+  // Clients imported from other project modules are looked up through the
+  // dependency graph.
+  extractHttpCalls(ast, functions, file, graph) {
+    const extractor = new HttpCallExtractor(ast, specifier => this.importedModule(graph, file, specifier));
+    const httpCalls = {};
+    
+    for (const fn of this.collectFunctions(ast)) {
+      if (!functions[fn.name] || functions[fn.name] === 'deleted') continue;
+      const calls = extractor.extract(fn.path);
+      if (calls.length > 0) httpCalls[fn.name] = calls;
+    }
+    
+    return httpCalls;
+  }
+
+  // AST of the project module an import specifier of `file` refers to
+  importedModule(graph, file, specifier) {
+    const target = graph.resolveImport(file, specifier);
+    if (!target) return null;
+    try {
+      return this.parseAST(readFileSync(target, 'utf8'), target);
+    } catch {
+      return null;
+    }
+  }
+
+  // JSX elements with their real locators and the handlers they wire
+  extractElements(ast) {
+    return new JsxSelectorExtractor(this.collectFunctions(ast)).extract(ast);
+  }
+
+  // Names exported by a module (ES exports and CommonJS `exports.x` /
+  // `module.exports = { ... }`); `export *` re-exports are not expanded
+  collectExports(ast) {
+    const names = new Set();
+    
+    for (const statement of ast.program.body) {
+      if (statement.type === 'ExportDefaultDeclaration') {
+        names.add('default');
+      } else if (statement.type === 'ExportNamedDeclaration') {
+        const { declaration } = statement;
+        if (declaration?.id) names.add(declaration.id.name);
+        declaration?.declarations?.forEach(d => {
+          if (d.id.type === 'Identifier') names.add(d.id.name);
+        });
+        statement.specifiers.forEach(spec => names.add(keyName(spec.exported)));
+      } else if (statement.type === 'ExpressionStatement' &&
+                 statement.expression.type === 'AssignmentExpression') {
+        const { left, right } = statement.expression;
+        const target = memberName(left);
+        if (target === 'module.exports' && right.type === 'ObjectExpression') {
+          right.properties.forEach(p => {
+            const name = keyName(p.key, p.computed);
+            if (name) names.add(name);
+          });
+        } else if (target?.match(/^(module\.)?exports\.[^.]+$/)) {
+          names.add(target.split('.').pop());
+        }
+      }
+    }
+    
+    return [...names];
+  }
+
+  // Every named function in the file, qualified by its enclosing classes,
+  // named objects and functions (e.g. `userService.getUser`, `Button.handleClick`).
+  // Anonymous callbacks are skipped.
+  collectFunctions(ast) {
+    const found = [];
     
     traverse.default(ast, {
-      FunctionDeclaration(path) {
-        const name = path.node.id?.name || 'anonymous';
-        const start = path.node.loc.start.line;
-        const end = path.node.loc.end.line;
+      Function(path) {
+        const ownName = functionName(path);
+        if (!ownName) return;
         
-        for (const line of allLines) {
-          if (line >= start && line <= end) {
-            functions[name] = lineChanges.deleted.some(l => l >= start && l <= end) ? 'deleted' :
-                             lineChanges.added.some(l => l >= start && l <= end) ? 'added' : 'modified';
-            break;
-          }
-        }
-      },
-      ArrowFunctionExpression(path) {
-        if (path.parent.type === 'VariableDeclarator') {
-          const name = path.parent.id?.name || 'anonymous';
-          const start = path.node.loc.start.line;
-          const end = path.node.loc.end.line;
-          
-          for (const line of allLines) {
-            if (line >= start && line <= end) {
-              functions[name] = lineChanges.deleted.some(l => l >= start && l <= end) ? 'deleted' :
-                               lineChanges.added.some(l => l >= start && l <= end) ? 'added' : 'modified';
-              break;
-            }
-          }
+        const scopes = [];
+        for (let parent = path.parentPath; parent; parent = parent.parentPath) {
+          const scopeName = containerName(parent);
+          if (scopeName) scopes.unshift(scopeName);
         }
-      },
-      ClassMethod(path) {
-        const className = path.parent.parent.id?.name || 'Class';
-        const methodName = path.node.key?.name || 'method';
-        const name = `${className}.${methodName}`;
-        const start = path.node.loc.start.line;
-        const end = path.node.loc.end.line;
         
-        for (const line of allLines) {
-          if (line >= start && line <= end) {
-            functions[name] = lineChanges.deleted.some(l => l >= start && l <= end) ? 'deleted' :
-                             lineChanges.added.some(l => l >= start && l <= end) ? 'added' : 'modified';
-            break;
-          }
-        }
+        found.push({
+          name: [...scopes, ownName].join('.'),
+          start: path.node.loc.start.line,
+          end: path.node.loc.end.line,
+          node: path.node,
+          path
+        });
       }
     });
     
-    return functions;
+    return found;
   }
 
-  analyzeImpact(file, functions) {
+  analyzeImpact(file, functions, dependents = [], httpCalls = {}) {
     const impacts = [];
     
     // UI component changes
-    if (file.includes('components/') || file.includes('pages/')) {
+    if (this.isUIFile(file)) {
       impacts.push('UI rendering');
       if (Object.keys(functions).some(f => f.includes('handle') || f.includes('on'))) {
         impacts.push('User interactions');
@@ -201,6 +655,12 @@ class ChangeAnalyzer {
       });
     }
     
+    // Requests traced from the code itself
+    Object.values(httpCalls).flat().forEach(call => {
+      impacts.push('API endpoints');
+      impacts.push(`${call.method} requests`);
+    });
+    
     // State management
     if (file.includes('store/') || file.includes('redux/') || file.includes('context/')) {
       impacts.push('Application state');
@@ -211,23 +671,57 @@ class ChangeAnalyzer {
       impacts.push('Navigation');
     }
     
+    // Indirect consumers found through the import graph
+    if (dependents.some(d => this.isUIFile(d))) {
+      impacts.push('Dependent UI components');
+    }
+    
     return [...new Set(impacts)];
   }
 
   isTestableFile(filename) {
-    const testableExtensions = ['.js', '.jsx', '.ts', '.tsx', '.mjs'];
-    const excludePaths = ['node_modules', 'dist', 'build', '.git', 'coverage'];
+    const { includePatterns, excludePatterns } = this.config;
+    const options = { dot: true };
     
-    return testableExtensions.some(ext => filename.endsWith(ext)) &&
-           !excludePaths.some(path => filename.includes(path));
+    return includePatterns.some(pattern => minimatch(filename, pattern, options)) &&
+           !excludePatterns.some(pattern => minimatch(filename, pattern, options));
+  }
+
+  isUIFile(filename) {
+    return filename.includes('components/') || filename.includes('pages/');
+  }
+
+  async listProjectFiles() {
+    const files = await glob(this.config.includePatterns, {
+      ignore: this.config.excludePatterns,
+      dot: true,
+      nodir: true,
+      posix: true
+    });
+    return files.sort();
+  }
+
+  async buildDependencyGraph() {
+    const graph = new DependencyGraph((content, file) => this.parseAST(content, file));
+    return graph.build(await this.listProjectFiles());
+  }
+
+  async buildRouteMap(graph) {
+    const routeMap = new RouteMap(graph, (content, file) => this.parseAST(content, file), this.routeConfig);
+    return routeMap.build(await this.listProjectFiles());
   }
 
   async fallbackAnalysis() {
     // Analyze without git history
-    const files = await glob('source/**/*.{js,jsx,ts,tsx}', { ignore: '**/node_modules/**' });
+    const files = await this.listProjectFiles();
+    const graph = await this.buildDependencyGraph();
+    const routeMap = await this.buildRouteMap(graph);
     const changes = {
+      range: { mode: 'fallback', base: null, head: null, description: 'file system (no git history)' },
       files: {},
-      summary: { added: 0, modified: 0, deleted: 0, totalChanges: files.length }
+      summary: { added: 0, modified: 0, deleted: 0, renamed: 0, totalChanges: files.length },
+      routeMap: routeMap.routes,
+      scenarios: []
     };
     
     for (const file of files) {
@@ -236,28 +730,22 @@ class ChangeAnalyzer {
         const ast = this.parseAST(content, file);
         const functions = {};
         
-        traverse.default(ast, {
-          FunctionDeclaration(path) {
-            functions[path.node.id?.name || 'anonymous'] = 'unknown';
-          },
-          ArrowFunctionExpression(path) {
-            if (path.parent.type === 'VariableDeclarator') {
-              functions[path.parent.id?.name || 'anonymous'] = 'unknown';
-            }
-          },
-          ClassMethod(path) {
-            const className = path.parent.parent.id?.name || 'Class';
-            const methodName = path.node.key?.name || 'method';
-            functions[`${className}.${methodName}`] = 'unknown';
-          }
-        });
+        for (const { name } of this.collectFunctions(ast)) {
+          functions[name] = 'unknown';
+        }
         
+        const dependents = graph.getDependents(file);
+        const httpCalls = this.extractHttpCalls(ast, functions, file, graph);
         changes.files[file] = {
           file,
           lines: { added: [], deleted: [], modified: [] },
           functions,
           hunks: [],
-          impact: this.analyzeImpact(file, functions)
+          impact: this.analyzeImpact(file, functions, dependents, httpCalls),
+          httpCalls,
+          elements: this.extractElements(ast),
+          dependents,
+          routes: routeMap.routesForFile(file)
         };
         changes.summary.modified++;
       } catch (error) {
@@ -265,35 +753,65 @@ class ChangeAnalyzer {
       }
     }
     
+    changes.scenarios = await this.selectScenarios(changes);
     this.saveResults(changes);
     return changes;
   }
 
+  // Scenario files covering the changed files and functions
+  async selectScenarios(changes) {
+    const selected = this.scenarios.select(await this.scenarios.loadAll(), changes);
+    selected.forEach(scenario => console.log(`Scenario selected: ${scenario.name} (${scenario.reasons[0]})`));
+    return selected;
+  }
+
   saveResults(changes) {
     const outputPath = path.join(__dirname, '../test-results/change-analysis.json');
     writeFileSync(outputPath, JSON.stringify(changes, null, 2));
     
     // Create test targets
     const testTargets = {
+      range: changes.range,
       uiPaths: [],
       apiEndpoints: [],
+      endpoints: [],
+      routes: [],
       impactedAreas: [],
-      specificFunctions: []
+      specificFunctions: [],
+      dependentFiles: [],
+      brokenImports: [],
+      scenarios: (changes.scenarios || []).map(scenario => scenario.file)
     };
     
     Object.entries(changes.files).forEach(([file, data]) => {
-      if (file.includes('components/') || file.includes('pages/')) {
+      if (this.isUIFile(file)) {
         testTargets.uiPaths.push(file);
       }
+      // Components and pages that consume the changed file indirectly
+      (data.dependents || []).forEach(dependent => {
+        testTargets.dependentFiles.push(dependent);
+        if (this.isUIFile(dependent)) testTargets.uiPaths.push(dependent);
+      });
+      // Callers still importing a deleted/renamed file or a removed export
+      (data.staleImporters || []).forEach(importer => {
+        testTargets.brokenImports.push({ ...importer, target: data.previousFile || file });
+      });
       if (file.includes('api/') || file.includes('services/')) {
         testTargets.apiEndpoints.push(file);
       }
+      // Concrete endpoints traced from changed functions
+      Object.values(data.httpCalls || {}).flat().forEach(call => {
+        testTargets.apiEndpoints.push(file);
+        if (call.endpoint) testTargets.endpoints.push(call.endpoint);
+      });
+      (data.routes || []).forEach(route => testTargets.routes.push(route.url));
       testTargets.impactedAreas.push(...data.impact);
       testTargets.specificFunctions.push(...Object.keys(data.functions));
     });
     
     // Remove duplicates
     Object.keys(testTargets).forEach(key => {
+      if (!Array.isArray(testTargets[key])) return;
       testTargets[key] = [...new Set(testTargets[key])];
     });
     
@@ -304,13 +822,40 @@ class ChangeAnalyzer {
   }
 }
 
+function parseCliOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      base: { type: 'string' },
+      range: { type: 'string' },
+      staged: { type: 'boolean' },
+      'working-tree': { type: 'boolean' },
+      depth: { type: 'string' }
+    }
+  });
+
+  if (values.staged) return { mode: 'staged' };
+  if (values['working-tree']) return { mode: 'working-tree' };
+  if (values.range) return { mode: 'range', range: values.range };
+  if (values.base) return { mode: 'merge-base', target: values.base };
+  if (values.depth) return { mode: 'commit', depth: parseInt(values.depth) };
+  return {};
+}
+
 // Execute analysis
 const analyzer = new ChangeAnalyzer();
-const changes = await analyzer.detectCodeChanges();
+let changes;
+try {
+  changes = await analyzer.detectCodeChanges(parseCliOptions(process.argv.slice(2)));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-console.log(`Analysis complete: ${changes.summary.totalChanges} files analyzed`);
+console.log(`Analysis complete: ${changes.summary.totalChanges} files analyzed (${changes.range.description})`);
 console.log(`- Added: ${changes.summary.added}`);
 console.log(`- Modified: ${changes.summary.modified}`);
 console.log(`- Deleted: ${changes.summary.deleted}`);
+console.log(`- Renamed: ${changes.summary.renamed}`);
 
 export { ChangeAnalyzer };
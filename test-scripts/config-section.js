@@ -0,0 +1,9 @@
+import { readFileSync, existsSync } from 'fs';
+
+// One section of test-config.json merged over its defaults; a missing file
+// or section gives the defaults. Callers validate the result and report
+// problems as `<configPath>: <section>.<key> must ...`.
+export function loadConfigSection(configPath, section, defaults) {
+  const raw = existsSync(configPath) ? JSON.parse(readFileSync(configPath, 'utf8'))[section] || {} : {};
+  return { ...defaults, ...raw };
+}
@@ -0,0 +1,144 @@
+import { readFileSync, existsSync, writeFileSync } from 'fs';
+
+const MAX_INFERRED_ITEMS = 20;
+
+// Validates response bodies against JSON Schemas (OpenAPI response schemas
+// or schemas inferred from previously recorded responses) and reports the
+// JSON paths that drifted from the contract.
+export class ContractValidator {
+  constructor(contractsPath = process.env.API_CONTRACTS || 'api-contracts.json') {
+    this.contractsPath = contractsPath;
+    this.contracts = existsSync(contractsPath) ? JSON.parse(readFileSync(contractsPath, 'utf8')) : {};
+    this.updated = false;
+  }
+
+  // Contracts are keyed by route pattern and status: 'GET /users/:id 200'
+  key(method, endpoint, status) {
+    return `${method} ${endpoint} ${status}`;
+  }
+
+  recorded(key) {
+    return this.contracts[key]?.schema || null;
+  }
+
+  record(key, data) {
+    this.contracts[key] = { recordedAt: new Date().toISOString(), schema: this.infer(data) };
+    this.updated = true;
+  }
+
+  save() {
+    if (!this.updated) return;
+    writeFileSync(this.contractsPath, JSON.stringify(this.contracts, null, 2));
+  }
+
+  // Schema describing a sample value; every present property is required
+  infer(value) {
+    if (value === null) return { type: 'null' };
+    if (Array.isArray(value)) {
+      const items = value.slice(0, MAX_INFERRED_ITEMS).map(item => this.infer(item));
+      return { type: 'array', items: items.length > 0 ? items.reduce((a, b) => this.merge(a, b)) : {} };
+    }
+    if (typeof value === 'object') {
+      return {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(value).map(([name, v]) => [name, this.infer(v)])),
+        required: Object.keys(value)
+      };
+    }
+    if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    return { type: typeof value };
+  }
+
+  // Union of two inferred schemas: properties of either, required by both
+  merge(a, b) {
+    const types = [...new Set([a.type, b.type].flat())];
+    const merged = { type: types.length === 1 ? types[0] : types };
+
+    if (a.properties || b.properties) {
+      const names = new Set([...Object.keys(a.properties || {}), ...Object.keys(b.properties || {})]);
+      merged.properties = {};
+      for (const name of names) {
+        const left = a.properties?.[name];
+        const right = b.properties?.[name];
+        merged.properties[name] = left && right ? this.merge(left, right) : left || right;
+      }
+      merged.required = (a.required || []).filter(name => (b.required || []).includes(name));
+    }
+    if (a.items || b.items) {
+      merged.items = a.items && b.items ? this.merge(a.items, b.items) : a.items || b.items;
+    }
+
+    return merged;
+  }
+
+  // Issues of `value` against `schema`. `previous` is the recorded schema of
+  // the same response: a required property it never had is reported as a
+  // new required field rather than a missing one.
+  validate(schema, value, previous = null, at = '$') {
+    if (!schema || Object.keys(schema).length === 0) return [];
+
+    if (schema.allOf) {
+      return schema.allOf.flatMap(part => this.validate(part, value, previous, at));
+    }
+    if (schema.oneOf || schema.anyOf) {
+      const attempts = (schema.oneOf || schema.anyOf).map(option => this.validate(option, value, previous, at));
+      return attempts.some(issues => issues.length === 0) ? [] : attempts[0];
+    }
+
+    const actual = this.typeOf(value);
+    const expected = this.expectedTypes(schema);
+    if (expected.length > 0 && !expected.includes(actual) && !(actual === 'integer' && expected.includes('number'))) {
+      return [this.issue('type-changed', at, expected.join('|'), actual)];
+    }
+    if (value === null) return [];
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      return [this.issue('enum-mismatch', at, schema.enum.join('|'), JSON.stringify(value))];
+    }
+
+    if (actual === 'array' && schema.items) {
+      return value.flatMap((item, i) => this.validate(schema.items, item, previous?.items, `${at}[${i}]`));
+    }
+    if (actual !== 'object') return [];
+
+    const issues = [];
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (name in value) continue;
+      const known = previous ? Boolean(previous.properties?.[name]) : true;
+      issues.push(this.issue(known ? 'missing-field' : 'new-required-field', `${at}.${name}`, 'present', 'absent'));
+    }
+
+    for (const [name, property] of Object.entries(value)) {
+      if (properties[name]) {
+        issues.push(...this.validate(properties[name], property, previous?.properties?.[name], `${at}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        issues.push(this.issue('unexpected-field', `${at}.${name}`, 'absent', 'present'));
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...this.validate(schema.additionalProperties, property, null, `${at}.${name}`));
+      }
+    }
+
+    return issues;
+  }
+
+  expectedTypes(schema) {
+    const types = [schema.type].flat().filter(Boolean);
+    if (types.length === 0 && schema.properties) types.push('object');
+    if (types.length === 0 && schema.items) types.push('array');
+    if (types.length > 0 && schema.nullable) types.push('null');
+    return types;
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  issue(kind, path, expected, actual) {
+    return { kind, path, expected, actual };
+  }
+}
@@ -0,0 +1,177 @@
+import traverse from '@babel/traverse';
+import { readFileSync } from 'fs';
+import path from 'path';
+
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+// Module dependency graph of the project, built from static `import`,
+// re-exports, `require()` and dynamic `import()` calls. Only relative
+// specifiers are followed; packages are outside the graph.
+export class DependencyGraph {
+  constructor(parse) {
+    this.parse = parse;
+    this.imports = new Map();
+    this.importers = new Map();
+    // file -> [{ specifier, names }], kept so imports of files that no
+    // longer exist can still be found
+    this.importRecords = new Map();
+  }
+
+  build(files) {
+    const known = new Set(files.map(f => path.posix.normalize(f)));
+
+    for (const file of known) {
+      this.imports.set(file, new Set());
+      if (!this.importers.has(file)) this.importers.set(file, new Set());
+    }
+
+    for (const file of known) {
+      let records;
+      try {
+        records = this.extractImports(readFileSync(file, 'utf8'), file);
+      } catch (error) {
+        console.error(`Failed to read imports of ${file}:`, error.message);
+        continue;
+      }
+      this.importRecords.set(file, records);
+
+      for (const { specifier } of records) {
+        const target = this.resolve(file, specifier, known);
+        if (!target || target === file) continue;
+        this.imports.get(file).add(target);
+        this.importers.get(target).add(file);
+      }
+    }
+
+    return this;
+  }
+
+  // Import records of a module; `names` are the imported bindings
+  // ('default', '*' for namespaces and untyped require/import())
+  extractImports(content, file) {
+    const ast = this.parse(content, file);
+    const records = [];
+
+    const literalValue = node => {
+      if (node?.type === 'StringLiteral') return node.value;
+      if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) {
+        return node.quasis[0].value.cooked;
+      }
+      return null;
+    };
+    const exportedName = node => (node.type === 'StringLiteral' ? node.value : node.name);
+
+    traverse.default(ast, {
+      ImportDeclaration(path) {
+        records.push({
+          specifier: path.node.source.value,
+          names: path.node.specifiers.map(spec => {
+            if (spec.type === 'ImportDefaultSpecifier') return 'default';
+            if (spec.type === 'ImportNamespaceSpecifier') return '*';
+            return exportedName(spec.imported);
+          })
+        });
+      },
+      ExportNamedDeclaration(path) {
+        if (!path.node.source) return;
+        records.push({
+          specifier: path.node.source.value,
+          names: path.node.specifiers.map(spec =>
+            spec.type === 'ExportNamespaceSpecifier' ? '*' : exportedName(spec.local)
+          )
+        });
+      },
+      ExportAllDeclaration(path) {
+        records.push({ specifier: path.node.source.value, names: ['*'] });
+      },
+      CallExpression(path) {
+        const { callee, arguments: args } = path.node;
+        const isRequire = callee.type === 'Identifier' && callee.name === 'require';
+        const isDynamicImport = callee.type === 'Import';
+        if (!isRequire && !isDynamicImport) return;
+
+        const value = literalValue(args[0]);
+        if (!value) return;
+
+        // const { a, b } = require('./x')
+        const { parent } = path;
+        const names = isRequire && parent.type === 'VariableDeclarator' && parent.id.type === 'ObjectPattern'
+          ? parent.id.properties.filter(p => p.type === 'ObjectProperty' && !p.computed).map(p => exportedName(p.key))
+          : ['*'];
+        records.push({ specifier: value, names });
+      },
+      ImportExpression(path) {
+        const value = literalValue(path.node.source);
+        if (value) records.push({ specifier: value, names: ['*'] });
+      }
+    });
+
+    return records;
+  }
+
+  candidatePaths(fromFile, specifier) {
+    const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+    return [
+      base,
+      ...RESOLVE_EXTENSIONS.map(ext => `${base}${ext}`),
+      ...RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`)
+    ];
+  }
+
+  resolve(fromFile, specifier, known) {
+    if (!specifier.startsWith('.')) return null;
+    return this.candidatePaths(fromFile, specifier).find(candidate => known.has(candidate)) || null;
+  }
+
+  // Project file an import specifier of `fromFile` refers to, if any
+  resolveImport(fromFile, specifier) {
+    return this.resolve(path.posix.normalize(fromFile), specifier, this.imports);
+  }
+
+  // Modules whose import specifiers point at `file`, which need not exist
+  // any more. With `names`, only importers of those bindings are returned;
+  // a namespace import or `export *` counts as importing every name.
+  findImporters(file, names = null) {
+    const target = path.posix.normalize(file);
+    const importers = [];
+
+    for (const [importer, records] of this.importRecords) {
+      for (const { specifier, names: imported } of records) {
+        if (!specifier.startsWith('.')) continue;
+        if (!this.candidatePaths(importer, specifier).includes(target)) continue;
+
+        const matched = !names ? imported
+          : imported.includes('*') ? names
+          : imported.filter(name => names.includes(name));
+        if (names && matched.length === 0) continue;
+        importers.push({ file: importer, specifier, names: matched });
+      }
+    }
+
+    return importers;
+  }
+
+  // Files that import `file` directly or through other modules, nearest first
+  getDependents(file) {
+    const start = path.posix.normalize(file);
+    const visited = new Set([start]);
+    const queue = [start];
+    const dependents = [];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const importer of this.importers.get(current) || []) {
+        if (visited.has(importer)) continue;
+        visited.add(importer);
+        dependents.push(importer);
+        queue.push(importer);
+      }
+    }
+
+    return dependents;
+  }
+
+  getDependencies(file) {
+    return [...(this.imports.get(path.posix.normalize(file)) || [])];
+  }
+}
@@ -0,0 +1,186 @@
+const DEFAULT_THRESHOLD = 0.7;
+const MAX_CANDIDATES = 3000;
+
+// Weight of each fingerprint feature in the similarity score (sum 1)
+const WEIGHTS = {
+  tag: 0.15,
+  attributes: 0.3,
+  text: 0.25,
+  path: 0.1,
+  neighbors: 0.1,
+  box: 0.1
+};
+
+// Runs in the browser: fingerprints of the given elements, null for ones
+// without a box. Like every function passed to evaluate(), it is serialized
+// by Playwright, so it must not use anything from its module scope.
+function describeElements(elements, limit) {
+  const textOf = el => (el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+  const labelOf = el => {
+    const labelledBy = (el.getAttribute('aria-labelledby') || '').split(/\s+/).map(id => document.getElementById(id)).filter(Boolean);
+    return labelledBy.length > 0 ? labelledBy.map(textOf).join(' ') : (el.getAttribute('aria-label') || '').trim();
+  };
+  // Enclosing landmarks, outermost first, by explicit or implicit role
+  const landmarksOf = el => {
+    const implicit = node => {
+      const tag = node.tagName.toLowerCase();
+      const sectioned = node.parentElement?.closest('article, aside, main, nav, section');
+      if (tag === 'header' && !sectioned) return 'banner';
+      if (tag === 'footer' && !sectioned) return 'contentinfo';
+      if ((tag === 'form' || tag === 'section') && labelOf(node)) return tag === 'form' ? 'form' : 'region';
+      return { nav: 'navigation', main: 'main', aside: 'complementary', search: 'search' }[tag] || null;
+    };
+    const landmarks = [];
+    for (let node = el.parentElement; node; node = node.parentElement) {
+      const role = node.getAttribute('role') || implicit(node);
+      if (['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search'].includes(role)) {
+        landmarks.unshift({ role, name: labelOf(node) });
+      }
+    }
+    return landmarks;
+  };
+  const step = el => {
+    const tag = el.tagName.toLowerCase();
+    const siblings = el.parentElement ? [...el.parentElement.children].filter(c => c.tagName === el.tagName) : [el];
+    return siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(el) + 1})` : tag;
+  };
+
+  return elements.slice(0, limit).map(el => {
+    const box = el.getBoundingClientRect();
+    if (box.width === 0 && box.height === 0) return null;
+
+    const steps = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) steps.unshift(step(node));
+
+    const attributes = {};
+    for (const attr of el.attributes) {
+      if (attr.name !== 'style') attributes[attr.name] = attr.value;
+    }
+
+    return {
+      tag: el.tagName.toLowerCase(),
+      attributes,
+      text: textOf(el),
+      selector: steps.join(' > '),
+      path: steps.map(s => s.replace(/:nth-of-type\(\d+\)$/, '')).join('>'),
+      neighbors: {
+        previous: el.previousElementSibling ? textOf(el.previousElementSibling).slice(0, 80) : '',
+        next: el.nextElementSibling ? textOf(el.nextElementSibling).slice(0, 80) : '',
+        parent: el.parentElement ? el.parentElement.tagName.toLowerCase() : ''
+      },
+      landmarks: landmarksOf(el),
+      box: { x: Math.round(box.x), y: Math.round(box.y), width: Math.round(box.width), height: Math.round(box.height) }
+    };
+  });
+}
+
+// Captures element fingerprints (tag, attributes, text, DOM path, neighbors,
+// enclosing landmarks, bounding box) and finds the element on a page that
+// best matches one.
+export class FingerprintMatcher {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  }
+
+  async capture(locator) {
+    const [fingerprint] = await locator.first().evaluateAll(describeElements, 1);
+    return fingerprint || null;
+  }
+
+  // Best scoring element under `root` (a page, frame or locator) at or
+  // above the threshold: { fingerprint, score }
+  async match(root, recorded) {
+    const candidates = (await root.locator('*').evaluateAll(describeElements, MAX_CANDIDATES)).filter(Boolean);
+
+    let best = null;
+    for (const candidate of candidates) {
+      const score = this.score(recorded, candidate);
+      if (!best || score > best.score) best = { fingerprint: candidate, score };
+    }
+
+    return best && best.score >= this.threshold ? best : null;
+  }
+
+  score(recorded, candidate) {
+    const features = {
+      tag: recorded.tag === candidate.tag ? 1 : 0,
+      attributes: this.attributeSimilarity(recorded.attributes, candidate.attributes),
+      text: this.textSimilarity(recorded.text, candidate.text),
+      path: this.pathSimilarity(recorded.path, candidate.path),
+      neighbors: (
+        this.textSimilarity(recorded.neighbors.previous, candidate.neighbors.previous) +
+        this.textSimilarity(recorded.neighbors.next, candidate.neighbors.next) +
+        (recorded.neighbors.parent === candidate.neighbors.parent ? 1 : 0)
+      ) / 3,
+      box: this.boxSimilarity(recorded.box, candidate.box)
+    };
+
+    const score = Object.entries(WEIGHTS).reduce((sum, [feature, weight]) => sum + weight * features[feature], 0);
+    return Math.round(score * 1000) / 1000;
+  }
+
+  attributeSimilarity(a, b) {
+    const names = new Set([...Object.keys(a), ...Object.keys(b)]);
+    if (names.size === 0) return 1;
+
+    let total = 0;
+    for (const name of names) {
+      if (!(name in a) || !(name in b)) continue;
+      total += name === 'class'
+        ? this.setSimilarity(a[name].split(/\s+/), b[name].split(/\s+/))
+        : this.textSimilarity(a[name], b[name]);
+    }
+    return total / names.size;
+  }
+
+  // Dice coefficient over character bigrams
+  textSimilarity(a = '', b = '') {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = value => {
+      const counts = new Map();
+      for (let i = 0; i < value.length - 1; i++) {
+        const pair = value.slice(i, i + 2);
+        counts.set(pair, (counts.get(pair) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const left = bigrams(a);
+    let overlap = 0;
+    for (const [pair, count] of bigrams(b)) {
+      const shared = Math.min(count, left.get(pair) || 0);
+      overlap += shared;
+      if (shared) left.set(pair, left.get(pair) - shared);
+    }
+    return (2 * overlap) / (a.length + b.length - 2);
+  }
+
+  setSimilarity(a, b) {
+    const left = new Set(a.filter(Boolean));
+    const right = new Set(b.filter(Boolean));
+    const union = new Set([...left, ...right]);
+    if (union.size === 0) return 1;
+    return [...left].filter(item => right.has(item)).length / union.size;
+  }
+
+  // Tags matched from the element upwards
+  pathSimilarity(a, b) {
+    const left = a.split('>').reverse();
+    const right = b.split('>').reverse();
+    let shared = 0;
+    while (shared < left.length && shared < right.length && left[shared] === right[shared]) shared++;
+    return shared / Math.max(left.length, right.length);
+  }
+
+  // Half position (centres within 300px), half size
+  boxSimilarity(a, b) {
+    const distance = Math.hypot(a.x + a.width / 2 - (b.x + b.width / 2), a.y + a.height / 2 - (b.y + b.height / 2));
+    const area = (a.width * a.height) || 1;
+    const size = Math.min(area, b.width * b.height) / Math.max(area, b.width * b.height || 1);
+    return 0.5 * Math.max(0, 1 - distance / 300) + 0.5 * size;
+  }
+}
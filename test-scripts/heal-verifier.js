@@ -0,0 +1,84 @@
+import { INTERACTIVE_ROLES } from './accessibility-tree.js';
+
+// Roles standing in for each other: text entry, and choice lists
+const EQUIVALENT_ROLES = [
+  ['textbox', 'searchbox', 'combobox', 'spinbutton'],
+  ['combobox', 'listbox']
+];
+
+const CHECKABLE_ROLES = ['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'];
+
+// Runs in the browser: role and capabilities of an element
+function inspectElement(el, interactiveRoles) {
+  const tag = el.tagName.toLowerCase();
+  const type = (el.getAttribute('type') || 'text').toLowerCase();
+  const implicitRole = () => {
+    if (tag === 'a' || tag === 'area') return el.hasAttribute('href') ? 'link' : null;
+    if (tag === 'button') return 'button';
+    if (tag === 'select') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+    if (tag === 'textarea') return 'textbox';
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+    if (tag === 'img') return 'img';
+    if (tag === 'input') {
+      if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+      if (el.hasAttribute('list')) return 'combobox';
+      return { checkbox: 'checkbox', radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox' }[type] ||
+        (['email', 'tel', 'text', 'url', 'password'].includes(type) ? 'textbox' : null);
+    }
+    return null;
+  };
+
+  const role = (el.getAttribute('role') || '').split(/\s+/)[0] || implicitRole();
+  const disabled = el.disabled || el.getAttribute('aria-disabled') === 'true';
+  const textInput = (tag === 'input' && !['button', 'submit', 'reset', 'image', 'checkbox', 'radio', 'file', 'range', 'color', 'hidden'].includes(type)) ||
+    tag === 'textarea';
+  const tabindex = el.getAttribute('tabindex');
+
+  return {
+    tag,
+    role,
+    inputType: tag === 'input' ? type : null,
+    text: (el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 80),
+    interactive: !disabled && (
+      interactiveRoles.includes(role) ||
+      tag === 'summary' || tag === 'label' ||
+      el.hasAttribute('onclick') ||
+      (tabindex !== null && Number(tabindex) >= 0) ||
+      getComputedStyle(el).cursor === 'pointer'
+    ),
+    editable: !disabled && ((textInput && !el.readOnly) || el.isContentEditable)
+  };
+}
+
+// Checks that an element found by a fallback tier can be what the
+// descriptor meant: something clickable for a click, an editable field for
+// typing, a select, checkbox or file input for those actions, and the
+// descriptor's role. Returns the mismatches found.
+export class HealVerifier {
+  async verify(locator, selectors, intent) {
+    const element = await locator.evaluate(inspectElement, INTERACTIVE_ROLES);
+    const found = `<${element.tag}${element.role ? ` role=${element.role}` : ''}>${element.text ? ` "${element.text}"` : ''}`;
+    const issues = [];
+
+    // What each action needs: [satisfied, description of the problem]
+    const checks = {
+      click: [element.interactive, `click target ${found} is not interactive`],
+      type: [element.editable, `typing target ${found} is not editable`],
+      press: [element.interactive || element.editable, `key press target ${found} cannot take focus`],
+      select: [element.tag === 'select' || ['listbox', 'combobox'].includes(element.role), `select target ${found} is not a select`],
+      check: [CHECKABLE_ROLES.includes(element.role), `check target ${found} is not a checkbox, radio or switch`],
+      upload: [element.inputType === 'file', `upload target ${found} is not a file input`]
+    };
+    if (checks[intent] && !checks[intent][0]) issues.push(checks[intent][1]);
+    if (selectors.role && !this.rolesMatch(selectors.role, element.role)) {
+      issues.push(`expected role ${selectors.role}, found ${found}`);
+    }
+
+    return issues;
+  }
+
+  rolesMatch(expected, actual) {
+    if (expected === actual) return true;
+    return EQUIVALENT_ROLES.some(group => group.includes(expected) && group.includes(actual));
+  }
+}
@@ -0,0 +1,76 @@
+import { writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+
+const MAX_SNIPPET_LENGTH = 2000;
+
+// Runs in the browser: outerHTML of the element's parent with the element
+// marked data-healed-match, scripts and styles removed
+function domSnippet(el, maxLength) {
+  const container = el.parentElement || el;
+  const clone = container.cloneNode(true);
+  const index = [...container.children].indexOf(el);
+  const match = index >= 0 ? clone.children[index] : clone;
+  match.setAttribute('data-healed-match', '');
+  clone.querySelectorAll('script, style').forEach(node => node.remove());
+
+  const html = clone.outerHTML.replace(/\s+/g, ' ');
+  return html.length > maxLength ? `${html.slice(0, maxLength)}…` : html;
+}
+
+// Evidence of a heal for reviewers: the page when the primary locator
+// failed, the page with the healed element outlined, and the markup around
+// it. Screenshots are written to `dir`.
+export class HealingEvidence {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async screenshot(page) {
+    return page.screenshot({ animations: 'disabled' }).catch(() => null);
+  }
+
+  // Viewport screenshot with the element scrolled into view and outlined
+  async highlighted(page, locator) {
+    const element = locator.first();
+    const previous = await element.evaluate(el => {
+      const style = { outline: el.style.outline, outlineOffset: el.style.outlineOffset };
+      el.scrollIntoView({ block: 'center', inline: 'center' });
+      el.style.outline = '3px solid #e5484d';
+      el.style.outlineOffset = '2px';
+      return style;
+    });
+
+    try {
+      return await this.screenshot(page);
+    } finally {
+      await element.evaluate((el, style) => {
+        el.style.outline = style.outline;
+        el.style.outlineOffset = style.outlineOffset;
+      }, previous).catch(() => {});
+    }
+  }
+
+  async snippet(locator) {
+    return locator.first().evaluate(domSnippet, MAX_SNIPPET_LENGTH).catch(() => null);
+  }
+
+  // Files of a heal's screenshots, relative to the working directory:
+  // { before, after }, null where missing
+  save(key, screenshots) {
+    mkdirSync(this.dir, { recursive: true });
+    const slug = key.replace(/[^\w.-]+/g, '_').slice(-80);
+    const stamp = Date.now();
+
+    const files = {};
+    for (const [moment, png] of Object.entries(screenshots)) {
+      if (!png) {
+        files[moment] = null;
+        continue;
+      }
+      const file = path.join(this.dir, `${stamp}-${slug}-${moment}.png`);
+      writeFileSync(file, png);
+      files[moment] = path.relative(process.cwd(), file);
+    }
+    return files;
+  }
+}
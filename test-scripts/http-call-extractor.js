@@ -0,0 +1,272 @@
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+// Requests a changed function makes: the calls traced by the change
+// analyzer, or else the one request `guess()` derives from the file and
+// function names ({ path, method }). Each request is { path, method, traced }.
+export function resolveRequests(calls = [], guess) {
+  const traced = calls.filter(call => call.path);
+  if (traced.length > 0) return traced.map(call => ({ path: call.path, method: call.method, traced: true }));
+  return [{ ...guess(), traced: false }];
+}
+
+// Statically traces the HTTP requests a module makes through axios (default
+// export, `axios.create()` clients, `axios(config)`) and `fetch`. URLs are
+// reduced to path patterns relative to the API base, so
+// `${API_BASE}/users/${id}` becomes `/users/:id` when API_BASE is an absolute
+// URL or read from the environment or a config object; path constants such
+// as `const USERS = '/users'` are expanded.
+//
+// `resolveModule(specifier)` returns the AST of a project module the file
+// imports, or null. With it, clients imported from a wrapper module
+// (`import http from './http'`, where http.js exports an `axios.create()`
+// client or axios itself) are traced too, one import deep.
+export class HttpCallExtractor {
+  constructor(ast, resolveModule = null) {
+    this.constants = new Map();
+    this.axiosNames = new Set(['axios']);
+    this.clients = new Map();
+    this.resolveModule = resolveModule;
+    this.collectModuleBindings(ast);
+  }
+
+  collectModuleBindings(ast) {
+    for (const statement of ast.program.body) {
+      if (statement.type === 'ImportDeclaration' && statement.source.value === 'axios') {
+        statement.specifiers
+          .filter(spec => spec.type === 'ImportDefaultSpecifier')
+          .forEach(spec => this.axiosNames.add(spec.local.name));
+      } else if (statement.type === 'ImportDeclaration' && this.resolveModule) {
+        this.collectImportedClients(statement);
+      }
+
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (declaration?.type !== 'VariableDeclaration') continue;
+
+      for (const { id, init } of declaration.declarations) {
+        if (id.type !== 'Identifier' || !init) continue;
+
+        if (this.isRequireOf(init, 'axios')) {
+          this.axiosNames.add(id.name);
+        } else if (this.isAxiosCreate(init)) {
+          this.clients.set(id.name, this.clientBase(init));
+        } else {
+          this.constants.set(id.name, init);
+        }
+      }
+    }
+  }
+
+  // Binds the local names of clients imported from a project module
+  collectImportedClients(statement) {
+    const ast = this.resolveModule(statement.source.value);
+    if (!ast) return;
+
+    const exported = new HttpCallExtractor(ast).exportedClients(ast);
+    for (const spec of statement.specifiers) {
+      const name = spec.type === 'ImportDefaultSpecifier' ? 'default'
+        : spec.type === 'ImportSpecifier' ? spec.imported.name || spec.imported.value
+        : null;
+      if (exported.has(name)) this.clients.set(spec.local.name, exported.get(name));
+    }
+  }
+
+  // Exported name -> base path of the module's exported axios clients
+  exportedClients(ast) {
+    const exported = new Map();
+    const local = name => (this.clients.has(name) ? this.clients.get(name) : this.axiosNames.has(name) ? '' : null);
+    const add = (name, prefix) => {
+      if (prefix !== null) exported.set(name, prefix);
+    };
+
+    for (const statement of ast.program.body) {
+      if (statement.type === 'ExportDefaultDeclaration') {
+        const { declaration } = statement;
+        if (declaration.type === 'Identifier') add('default', local(declaration.name));
+        else if (this.isAxiosCreate(declaration)) add('default', this.clientBase(declaration));
+      } else if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+        if (statement.declaration?.type === 'VariableDeclaration') {
+          statement.declaration.declarations
+            .filter(({ id }) => id.type === 'Identifier')
+            .forEach(({ id }) => add(id.name, local(id.name)));
+        }
+        for (const spec of statement.specifiers) {
+          add(spec.exported.name || spec.exported.value, local(spec.local.name));
+        }
+      }
+    }
+
+    return exported;
+  }
+
+  // Base path of an `axios.create()` client
+  clientBase(node) {
+    const config = node.arguments[0];
+    const baseURL = config?.type === 'ObjectExpression' ? this.property(config, 'baseURL') : null;
+    return baseURL ? this.toPath(this.urlParts(baseURL)) || '' : '';
+  }
+
+  isRequireOf(node, moduleName) {
+    return node.type === 'CallExpression' &&
+      node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+      node.arguments[0]?.type === 'StringLiteral' && node.arguments[0].value === moduleName;
+  }
+
+  isAxiosCreate(node) {
+    return node.type === 'CallExpression' &&
+      node.callee.type === 'MemberExpression' &&
+      this.axiosNames.has(node.callee.object.name) &&
+      node.callee.property.name === 'create';
+  }
+
+  property(objectNode, name) {
+    const prop = objectNode.properties.find(p =>
+      p.type === 'ObjectProperty' && !p.computed &&
+      (p.key.name === name || p.key.value === name)
+    );
+    return prop ? prop.value : null;
+  }
+
+  // Calls made inside a function, given its @babel/traverse path
+  extract(functionPath) {
+    const calls = [];
+
+    functionPath.traverse({
+      CallExpression: path => {
+        const call = this.describeCall(path.node);
+        if (call) calls.push({ ...call, line: path.node.loc.start.line });
+      }
+    });
+
+    return calls;
+  }
+
+  describeCall(node) {
+    const { callee, arguments: args } = node;
+
+    // fetch(url, { method })
+    if (callee.type === 'Identifier' && callee.name === 'fetch') {
+      const options = args[1]?.type === 'ObjectExpression' ? args[1] : null;
+      return this.request('fetch', args[0], options ? this.property(options, 'method') : null, '');
+    }
+
+    // axios(config) / axios(url, config)
+    if (callee.type === 'Identifier' && (this.axiosNames.has(callee.name) || this.clients.has(callee.name))) {
+      return this.fromConfig(callee.name, args);
+    }
+
+    if (callee.type !== 'MemberExpression' || callee.object.type !== 'Identifier') return null;
+
+    const client = callee.object.name;
+    if (!this.axiosNames.has(client) && !this.clients.has(client)) return null;
+
+    const method = callee.property.name;
+    const prefix = this.clients.get(client) || '';
+    if (method === 'request') return this.fromConfig(client, args);
+    if (!HTTP_METHODS.includes(method)) return null;
+
+    return this.request('axios', args[0], { type: 'StringLiteral', value: method }, prefix);
+  }
+
+  fromConfig(client, args) {
+    const prefix = this.clients.get(client) || '';
+    if (args[0]?.type === 'ObjectExpression') {
+      return this.request('axios', this.property(args[0], 'url'), this.property(args[0], 'method'), prefix);
+    }
+    const config = args[1]?.type === 'ObjectExpression' ? args[1] : null;
+    return this.request('axios', args[0], config ? this.property(config, 'method') : null, prefix);
+  }
+
+  request(client, urlNode, methodNode, prefix) {
+    if (!urlNode) return null;
+
+    const method = methodNode?.type === 'StringLiteral' ? methodNode.value.toUpperCase() : 'GET';
+    const path = this.toPath(this.urlParts(urlNode));
+
+    return {
+      client,
+      method,
+      path: path === null ? null : this.joinPaths(prefix, path),
+      endpoint: path === null ? null : `${method} ${this.joinPaths(prefix, path)}`
+    };
+  }
+
+  // Flattens a URL expression into text, parameter and base parts
+  urlParts(node) {
+    switch (node.type) {
+      case 'StringLiteral':
+        return [{ kind: 'text', value: node.value }];
+
+      case 'TemplateLiteral':
+        return node.quasis.flatMap((quasi, i) => [
+          { kind: 'text', value: quasi.value.cooked },
+          ...(i < node.expressions.length ? this.expressionParts(node.expressions[i]) : [])
+        ]);
+
+      case 'BinaryExpression':
+        if (node.operator !== '+') return [{ kind: 'param', name: 'param' }];
+        return [...this.urlParts(node.left), ...this.urlParts(node.right)];
+
+      default:
+        return this.expressionParts(node);
+    }
+  }
+
+  expressionParts(node) {
+    if (node.type === 'Identifier' && this.constants.has(node.name)) {
+      const init = this.constants.get(node.name);
+      if (this.isBaseURL(init)) return [{ kind: 'base' }];
+      if (init.type === 'StringLiteral' || init.type === 'TemplateLiteral') return this.urlParts(init);
+    }
+    if (node.type === 'StringLiteral' || node.type === 'TemplateLiteral' || node.type === 'BinaryExpression') {
+      return this.urlParts(node);
+    }
+    return [{ kind: 'param', name: this.paramName(node) }];
+  }
+
+  // API roots: absolute URLs, and values read from the environment or a
+  // config object (`process.env.API_URL || '...'`, `config.apiBase`).
+  // Strings built from other constants are expanded part by part instead.
+  isBaseURL(init) {
+    const absolute = value => /^https?:\/\//.test(value);
+    if (init.type === 'StringLiteral') return absolute(init.value);
+    if (init.type === 'TemplateLiteral') return absolute(init.quasis[0].value.cooked);
+    if (init.type === 'BinaryExpression') return init.left.type === 'StringLiteral' && absolute(init.left.value);
+
+    const names = JSON.stringify(init, ['type', 'object', 'property', 'name', 'left', 'right', 'callee', 'arguments', 'test', 'consequent', 'alternate']);
+    return [...names.matchAll(/"name":"([^"]+)"/g)].some(([, name]) => name === 'env' || /config|settings/i.test(name));
+  }
+
+  paramName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'MemberExpression' && !node.computed) return node.property.name;
+    if (node.type === 'CallExpression' && node.arguments.length === 1) return this.paramName(node.arguments[0]);
+    return 'param';
+  }
+
+  toPath(parts) {
+    parts = parts.filter(part => part.kind !== 'text' || part.value !== '');
+
+    // An unknown leading expression followed by "/..." is a base URL too
+    if (parts[0]?.kind === 'param' && /^\//.test(parts[1]?.value || '')) {
+      parts = [{ kind: 'base' }, ...parts.slice(1)];
+    }
+    if (parts.slice(1).some(part => part.kind === 'base')) return null;
+
+    let pattern = parts
+      .map(part => (part.kind === 'text' ? part.value : part.kind === 'param' ? `:${part.name}` : ''))
+      .join('');
+
+    if (parts[0]?.kind === 'param' && parts.length === 1) return null;
+
+    const absolute = pattern.match(/^https?:\/\/[^/]+(.*)$/);
+    if (absolute) pattern = absolute[1];
+
+    pattern = pattern.split(/[?#]/)[0].replace(/\/{2,}/g, '/');
+    return pattern.startsWith('/') ? pattern : `/${pattern}`;
+  }
+
+  joinPaths(prefix, path) {
+    if (!prefix || prefix === '/') return path;
+    return `${prefix.replace(/\/$/, '')}${path}`;
+  }
+}
@@ -0,0 +1,191 @@
+import traverse from '@babel/traverse';
+
+const IMPLICIT_ROLES = {
+  a: 'link',
+  button: 'button',
+  form: 'form',
+  img: 'img',
+  nav: 'navigation',
+  select: 'combobox',
+  textarea: 'textbox',
+  ul: 'list',
+  ol: 'list',
+  li: 'listitem',
+  dialog: 'dialog',
+  header: 'banner',
+  footer: 'contentinfo',
+  main: 'main'
+};
+
+const INPUT_ROLES = {
+  checkbox: 'checkbox',
+  radio: 'radio',
+  button: 'button',
+  submit: 'button',
+  reset: 'button',
+  range: 'slider',
+  search: 'searchbox'
+};
+
+// Collects the locator-relevant attributes of every JSX element in a module
+// (data-testid, id, className, role, aria-label, placeholder, static text)
+// together with the event handlers it wires and the component rendering it.
+export class JsxSelectorExtractor {
+  // `functions` is ChangeAnalyzer#collectFunctions output for the same AST
+  constructor(functions) {
+    this.functionsByNode = new Map(functions.map(fn => [fn.node, fn.name]));
+    this.functionNames = new Set(functions.map(fn => fn.name));
+  }
+
+  extract(ast) {
+    const elements = [];
+
+    traverse.default(ast, {
+      JSXElement: path => {
+        const opening = path.node.openingElement;
+        const tag = this.tagName(opening.name);
+        const attributes = this.attributes(opening.attributes);
+        const component = this.owningComponent(path);
+        // Outermost element of what its function renders
+        const root = !path.findParent(parent => parent.isJSXElement() || this.functionsByNode.has(parent.node))
+          ?.isJSXElement();
+
+        const element = {
+          tag,
+          intrinsic: /^[a-z]/.test(tag),
+          line: opening.loc.start.line,
+          component,
+          root,
+          testId: attributes['data-testid'] ?? attributes['data-test-id'] ?? null,
+          id: attributes.id ?? null,
+          classNames: (attributes.className ?? attributes.class ?? '').split(/\s+/).filter(Boolean),
+          role: attributes.role ?? this.implicitRole(tag, attributes.type),
+          ariaLabel: attributes['aria-label'] ?? null,
+          placeholder: attributes.placeholder ?? null,
+          text: this.staticText(path.node.children),
+          handlers: this.handlers(opening.attributes, component)
+        };
+
+        const hasLocator = element.testId || element.id || element.classNames.length > 0 ||
+          element.ariaLabel || element.text || Object.keys(element.handlers).length > 0;
+        if (hasLocator) elements.push(element);
+      }
+    });
+
+    return elements;
+  }
+
+  tagName(nameNode) {
+    switch (nameNode.type) {
+      case 'JSXIdentifier':
+        return nameNode.name;
+      case 'JSXMemberExpression':
+        return `${this.tagName(nameNode.object)}.${nameNode.property.name}`;
+      case 'JSXNamespacedName':
+        return `${nameNode.namespace.name}:${nameNode.name.name}`;
+      default:
+        return 'unknown';
+    }
+  }
+
+  // Static attribute values; dynamic ones are recorded as null
+  attributes(attributeNodes) {
+    const attributes = {};
+
+    for (const attr of attributeNodes) {
+      if (attr.type !== 'JSXAttribute') continue;
+      const name = this.tagName(attr.name);
+      attributes[name] = this.staticValue(attr.value);
+    }
+
+    return attributes;
+  }
+
+  staticValue(valueNode) {
+    if (!valueNode) return 'true';
+    if (valueNode.type === 'StringLiteral') return valueNode.value;
+    if (valueNode.type !== 'JSXExpressionContainer') return null;
+
+    const { expression } = valueNode;
+    if (expression.type === 'StringLiteral') return expression.value;
+    if (expression.type === 'TemplateLiteral' && expression.expressions.length === 0) {
+      return expression.quasis[0].value.cooked;
+    }
+    return null;
+  }
+
+  staticText(children) {
+    const text = children
+      .map(child => {
+        if (child.type === 'JSXText') return child.value;
+        if (child.type === 'JSXExpressionContainer' && child.expression.type === 'StringLiteral') {
+          return child.expression.value;
+        }
+        return ' ';
+      })
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return text || null;
+  }
+
+  implicitRole(tag, type) {
+    if (tag === 'input') return INPUT_ROLES[type] || 'textbox';
+    return IMPLICIT_ROLES[tag] || null;
+  }
+
+  // on* props mapped to the qualified name of the function they invoke
+  handlers(attributeNodes, component) {
+    const handlers = {};
+
+    for (const attr of attributeNodes) {
+      if (attr.type !== 'JSXAttribute' || attr.name.type !== 'JSXIdentifier') continue;
+      if (!/^on[A-Z]/.test(attr.name.name)) continue;
+      if (attr.value?.type !== 'JSXExpressionContainer') continue;
+
+      const target = this.handlerName(attr.value.expression);
+      if (target) handlers[attr.name.name] = this.qualify(target, component);
+    }
+
+    return handlers;
+  }
+
+  handlerName(expression) {
+    switch (expression.type) {
+      case 'Identifier':
+        return expression.name;
+      case 'MemberExpression':
+        return expression.computed ? null : expression.property.name;
+      case 'CallExpression':
+        // onClick={handler.bind(this)}
+        return this.handlerName(expression.callee.type === 'MemberExpression' &&
+          expression.callee.property.name === 'bind' ? expression.callee.object : expression.callee);
+      case 'ArrowFunctionExpression':
+      case 'FunctionExpression': {
+        // onClick={() => handleClick(id)}
+        const body = expression.body.type === 'BlockStatement'
+          ? expression.body.body.find(s => s.type === 'ExpressionStatement')?.expression
+          : expression.body;
+        return body?.type === 'CallExpression' ? this.handlerName(body.callee) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  qualify(name, component) {
+    const scoped = component ? `${component}.${name}` : null;
+    if (scoped && this.functionNames.has(scoped)) return scoped;
+    if (this.functionNames.has(name)) return name;
+    return scoped || name;
+  }
+
+  // Nearest enclosing named function (anonymous .map() callbacks are skipped)
+  owningComponent(path) {
+    for (let parent = path.parentPath; parent; parent = parent.parentPath) {
+      if (this.functionsByNode.has(parent.node)) return this.functionsByNode.get(parent.node);
+    }
+    return null;
+  }
+}
@@ -0,0 +1,127 @@
+import { readFileSync, existsSync, writeFileSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+
+const MAX_HEALS_PER_ELEMENT = 20;
+
+// Persistent record of locators, keyed by logical element name. Holds the
+// fingerprint captured when the primary locator last matched, and every
+// successful fallback since: the selectors that failed and the one that
+// worked, so the drift report can suggest a new primary locator. Reference
+// crops for visual matching are PNGs in locator-references/ next to the store.
+export class LocatorRepository {
+  constructor(storePath = process.env.LOCATOR_STORE || 'locators.json') {
+    this.storePath = storePath;
+    this.referenceDir = path.join(path.dirname(storePath), 'locator-references');
+    this.store = existsSync(storePath) ? JSON.parse(readFileSync(storePath, 'utf8')) : {};
+    this.updated = false;
+  }
+
+  recordHeal(key, { strategy, failed, healedWith, score = null, source = null, url = null }) {
+    const entry = this.store[key] || { heals: [] };
+    entry.source = source || entry.source || null;
+    entry.heals.push({ strategy, failed, healedWith, score, url, timestamp: new Date().toISOString() });
+    entry.heals = entry.heals.slice(-MAX_HEALS_PER_ELEMENT);
+
+    this.store[key] = entry;
+    this.updated = true;
+  }
+
+  // The primary locator matched: its drift, if any, has been fixed. The
+  // store only changes when there were heals or the element looks different,
+  // so a passing run leaves locators.json as committed.
+  recordMatch(key, fingerprint = null) {
+    const entry = this.store[key] || { heals: [] };
+    let changed = !this.store[key];
+
+    if (entry.heals.length > 0) {
+      entry.heals = [];
+      changed = true;
+    }
+    if (fingerprint && !this.sameFingerprint(entry.fingerprint, fingerprint)) {
+      entry.fingerprint = { ...fingerprint, capturedAt: new Date().toISOString() };
+      changed = true;
+    }
+
+    if (!changed) return;
+    this.store[key] = entry;
+    this.updated = true;
+  }
+
+  sameFingerprint(recorded, fingerprint) {
+    if (!recorded) return false;
+    const { capturedAt, ...content } = recorded;
+    return JSON.stringify(content) === JSON.stringify(fingerprint);
+  }
+
+  fingerprint(key) {
+    return this.store[key]?.fingerprint || null;
+  }
+
+  // A crop is retaken when the element has none or was resized
+  needsReference(key, box) {
+    const reference = this.store[key]?.reference;
+    if (!reference || !existsSync(path.join(this.referenceDir, reference.file))) return true;
+    return reference.box.width !== box.width || reference.box.height !== box.height;
+  }
+
+  recordReference(key, png, box) {
+    const file = `${createHash('sha1').update(key).digest('hex')}.png`;
+    mkdirSync(this.referenceDir, { recursive: true });
+    writeFileSync(path.join(this.referenceDir, file), png);
+
+    const entry = this.store[key] || { heals: [] };
+    entry.reference = { file, box, capturedAt: new Date().toISOString() };
+    this.store[key] = entry;
+    this.updated = true;
+  }
+
+  // The reference crop and the element's document box when it was taken:
+  // { png, box }
+  reference(key) {
+    const reference = this.store[key]?.reference;
+    if (!reference) return null;
+    const file = path.join(this.referenceDir, reference.file);
+    return existsSync(file) ? { png: readFileSync(file), box: reference.box } : null;
+  }
+
+  save() {
+    if (!this.updated) return;
+    writeFileSync(this.storePath, JSON.stringify(this.store, null, 2));
+    this.updated = false;
+  }
+
+  // One entry per drifting element, most healed first. The suggested
+  // replacement is the selector that healed it most often.
+  driftReport() {
+    return Object.entries(this.store)
+      .filter(([, entry]) => entry.heals.length > 0)
+      .map(([element, entry]) => {
+        const tally = new Map();
+        entry.heals.forEach(heal => {
+          const current = tally.get(heal.healedWith) || { count: 0, strategy: heal.strategy };
+          tally.set(heal.healedWith, { count: current.count + 1, strategy: heal.strategy });
+        });
+        const [suggested, { strategy }] = [...tally.entries()].sort((a, b) => b[1].count - a[1].count)[0];
+
+        return {
+          element,
+          source: entry.source,
+          brokenSelectors: [...new Set(entry.heals.flatMap(heal => heal.failed))],
+          suggestedSelector: suggested,
+          strategy,
+          alternatives: [...tally.keys()].filter(selector => selector !== suggested),
+          heals: entry.heals.length,
+          lastHealed: entry.heals[entry.heals.length - 1].timestamp
+        };
+      })
+      .sort((a, b) => b.heals - a.heals);
+  }
+
+  writeDriftReport(reportPath) {
+    const drift = this.driftReport();
+    mkdirSync(path.dirname(reportPath), { recursive: true });
+    writeFileSync(reportPath, JSON.stringify({ timestamp: new Date().toISOString(), drift }, null, 2));
+    return drift;
+  }
+}
@@ -4,6 +4,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import axios from 'axios';
+import { resolveRequests } from './http-call-extractor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -68,15 +69,26 @@ class MultiBrowserTester {
 
   extractModifiedEndpoints() {
     return Object.entries(this.changeDetails.files)
-      .filter(([file]) => file.includes('api/') || file.includes('services/'))
+      .filter(([file, data]) =>
+        file.includes('api/') || file.includes('services/') ||
+        Object.keys(data.httpCalls || {}).length > 0
+      )
       .flatMap(([file, data]) => 
-        Object.keys(data.functions).map(func => ({
-          file,
-          function: func,
-          endpoint: this.deriveEndpoint(file, func),
-          method: this.deriveHTTPMethod(func),
-          lines: data.lines
-        }))
+        Object.keys(data.functions).flatMap(func => {
+          const requests = resolveRequests(data.httpCalls?.[func], () => ({
+            path: this.deriveEndpoint(file, func),
+            method: this.deriveHTTPMethod(func)
+          }));
+          
+          return requests.map(request => ({
+            file,
+            function: func,
+            endpoint: request.path,
+            method: request.method,
+            traced: request.traced,
+            lines: data.lines
+          }));
+        })
       );
   }
 
@@ -271,7 +283,7 @@ class MultiBrowserTester {
       };
       
       // Compare with baseline (if available)
-      if (func.changeType === 'modified') {
+      if (['modified', 'signature-changed', 'body-changed'].includes(func.changeType)) {
         // Test performance regression
         const perfTest = await this.testPerformanceRegression(func);
         regressionResult.tests.push(perfTest);
@@ -497,6 +509,13 @@ class MultiBrowserTester {
 
   deriveTestURL(file) {
     const base = process.env.TEST_URL || 'http://localhost:3000';
+    
+    // Routes discovered by the change analyzer (nearest page mounting the file)
+    const route = this.changeDetails.files[file]?.routes?.[0];
+    if (route) {
+      return `${base.replace(/\/$/, '')}${route.url}`;
+    }
+    
     const name = path.basename(file, path.extname(file));
     return `${base}/${name}`;
   }
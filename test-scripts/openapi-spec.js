@@ -0,0 +1,260 @@
+import { readFileSync, existsSync } from 'fs';
+import { parse as parseYAML } from 'yaml';
+import { glob } from 'glob';
+import path from 'path';
+
+const SPEC_PATTERNS = ['**/{openapi,swagger}.{yaml,yml,json}', '**/api-spec.{yaml,yml,json}'];
+const MAX_INVALID_PAYLOADS = 5;
+
+// OpenAPI 3 / Swagger 2 document with local $refs resolved. Maps changed
+// functions to operations and generates request data from their schemas.
+export class OpenAPISpec {
+  constructor(document, file) {
+    this.file = file;
+    this.document = document;
+    this.basePath = this.resolveBasePath(document);
+    this.operations = this.collectOperations(document);
+  }
+
+  // Loads `specPath`, or the first spec file found in the project. A
+  // configured file must be a spec; discovered files that are not (a
+  // `swagger.json` of some other tool) are skipped with a warning.
+  static async load(specPath = process.env.OPENAPI_SPEC) {
+    if (specPath) {
+      return existsSync(specPath) ? new OpenAPISpec(OpenAPISpec.read(specPath), specPath) : null;
+    }
+
+    const found = await glob(SPEC_PATTERNS, { ignore: ['**/node_modules/**', 'test-results/**'], nodir: true });
+    for (const file of found.sort()) {
+      try {
+        return new OpenAPISpec(OpenAPISpec.read(file), file);
+      } catch (error) {
+        console.warn(`Skipping ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  static read(file) {
+    const content = readFileSync(file, 'utf8');
+    let document;
+    try {
+      document = file.endsWith('.json') ? JSON.parse(content) : parseYAML(content);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+    if (!document?.paths || !(document.openapi || document.swagger)) {
+      throw new Error(`${file} is not an OpenAPI/Swagger document`);
+    }
+    return document;
+  }
+
+  resolveBasePath(document) {
+    if (document.basePath) return document.basePath.replace(/\/$/, '');
+
+    const server = document.servers?.[0]?.url;
+    if (!server) return '';
+    const match = server.match(/^(?:[a-z]+:\/\/[^/]+)?(\/.*)?$/i);
+    return (match?.[1] || '').replace(/\/$/, '');
+  }
+
+  resolveRef(ref) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`${this.file}: external $ref "${ref}" is not supported`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], this.document);
+  }
+
+  // Inlines $refs; recursive schemas are cut off at the first repetition
+  deref(node, seen = new Set()) {
+    if (Array.isArray(node)) return node.map(item => this.deref(item, seen));
+    if (!node || typeof node !== 'object') return node;
+
+    if (node.$ref) {
+      if (seen.has(node.$ref)) return {};
+      return this.deref(this.resolveRef(node.$ref), new Set([...seen, node.$ref]));
+    }
+
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, this.deref(value, seen)]));
+  }
+
+  collectOperations(document) {
+    const operations = [];
+    const methods = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+
+    for (const [specPath, pathItem] of Object.entries(document.paths)) {
+      const shared = pathItem.parameters || [];
+
+      for (const method of methods) {
+        const raw = pathItem[method];
+        if (!raw) continue;
+
+        const operation = this.deref(raw);
+        const parameters = this.deref([...shared, ...(raw.parameters || [])]);
+        const bodyParam = parameters.find(p => p.in === 'body');
+
+        operations.push({
+          operationId: operation.operationId || null,
+          method: method.toUpperCase(),
+          specPath,
+          path: specPath.replace(/\{([^}]+)\}/g, ':$1'),
+          parameters: parameters.filter(p => p.in !== 'body'),
+          requestBody: bodyParam?.schema || this.jsonSchema(operation.requestBody?.content),
+          bodyRequired: Boolean(bodyParam?.required || operation.requestBody?.required),
+          security: operation.security ?? document.security ?? [],
+          responses: Object.fromEntries(
+            Object.entries(operation.responses || {}).map(([code, response]) => [
+              code,
+              { description: response.description, schema: response.schema || this.jsonSchema(response.content) }
+            ])
+          )
+        });
+      }
+    }
+
+    return operations;
+  }
+
+  jsonSchema(content) {
+    if (!content) return null;
+    const type = Object.keys(content).find(t => t.includes('json')) || Object.keys(content)[0];
+    return content[type]?.schema || null;
+  }
+
+  // Operation for a change: by traced method + path (parameter names
+  // ignored, with or without the server base path), else by operationId
+  findOperation(change) {
+    const shape = p => p.replace(/:[^/]+/g, ':').replace(/\/$/, '');
+    const leaf = change.function?.split('.').pop();
+
+    if (change.endpoint) {
+      const candidates = [change.endpoint, `${this.basePath}${change.endpoint}`]
+        .map(p => (this.basePath && p.startsWith(this.basePath) ? p.slice(this.basePath.length) : p))
+        .map(shape);
+
+      const byPath = this.operations.find(op =>
+        op.method === change.method && candidates.includes(shape(op.path))
+      );
+      if (byPath) return byPath;
+    }
+
+    return this.operations.find(op => op.operationId && (op.operationId === leaf || op.operationId === change.function)) || null;
+  }
+
+  // Numeric status codes documented for an operation ('2XX' -> 200)
+  statusCodes(operation) {
+    return Object.keys(operation.responses)
+      .map(code => (/^\dXX$/i.test(code) ? parseInt(code[0]) * 100 : parseInt(code)))
+      .filter(code => !Number.isNaN(code));
+  }
+
+  responseSchema(operation, status) {
+    const exact = operation.responses[String(status)];
+    const range = operation.responses[`${String(status)[0]}XX`] || operation.responses[`${String(status)[0]}xx`];
+    return (exact || range || operation.responses.default)?.schema || null;
+  }
+
+  // Sample values for path and required query parameters
+  parameterValues(operation, location) {
+    const values = {};
+    operation.parameters
+      .filter(p => p.in === location && (location === 'path' || p.required))
+      .forEach(p => {
+        values[p.name] = p.example ?? this.sample(p.schema || { type: p.type, format: p.format, enum: p.enum });
+      });
+    return values;
+  }
+
+  // Valid instance of a schema (examples, defaults and enums first);
+  // readOnly properties are left out of request payloads
+  sample(schema, depth = 0) {
+    if (!schema || depth > 6) return null;
+    if (schema.example !== undefined) return schema.example;
+    if (schema.default !== undefined) return schema.default;
+    if (schema.const !== undefined) return schema.const;
+    if (schema.enum?.length) return schema.enum[0];
+    if (schema.allOf) {
+      return Object.assign({}, ...schema.allOf.map(s => this.sample(s, depth + 1)));
+    }
+    if (schema.oneOf || schema.anyOf) return this.sample((schema.oneOf || schema.anyOf)[0], depth + 1);
+
+    switch (this.schemaType(schema)) {
+      case 'string':
+        return this.sampleString(schema);
+      case 'integer':
+        return Math.max(1, Math.ceil(schema.minimum ?? 1));
+      case 'number':
+        return schema.minimum ?? 1.5;
+      case 'boolean':
+        return true;
+      case 'array':
+        return Array.from({ length: Math.max(1, schema.minItems || 1) }, () => this.sample(schema.items, depth + 1));
+      case 'object': {
+        const data = {};
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+          if (property.readOnly) continue;
+          data[name] = this.sample(property, depth + 1);
+        }
+        return data;
+      }
+      default:
+        return null;
+    }
+  }
+
+  schemaType(schema) {
+    if (Array.isArray(schema.type)) return schema.type.find(t => t !== 'null');
+    if (schema.type) return schema.type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    return null;
+  }
+
+  sampleString(schema) {
+    const byFormat = {
+      email: 'test@example.com',
+      'date-time': new Date().toISOString(),
+      date: new Date().toISOString().slice(0, 10),
+      uuid: '123e4567-e89b-42d3-a456-426614174000',
+      uri: 'https://example.com',
+      url: 'https://example.com',
+      password: 'Test123!'
+    };
+    let value = byFormat[schema.format] || 'test';
+    while (value.length < (schema.minLength || 0)) value += 'x';
+    return schema.maxLength ? value.slice(0, schema.maxLength) : value;
+  }
+
+  // Payloads violating the schema: each missing required property, wrong
+  // property types and out-of-enum values
+  invalidSamples(schema) {
+    const valid = this.sample(schema);
+    if (!valid || typeof valid !== 'object' || Array.isArray(valid)) {
+      return [{ name: 'wrong body type', data: 'not-an-object' }];
+    }
+
+    const invalid = [];
+    for (const name of schema.required || []) {
+      const data = { ...valid };
+      delete data[name];
+      invalid.push({ name: `missing required "${name}"`, data });
+    }
+
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      if (property.readOnly) continue;
+      if (property.enum) {
+        invalid.push({ name: `"${name}" not in enum`, data: { ...valid, [name]: '__not-in-enum__' } });
+      }
+      const wrong = { string: 12345, integer: 'not-a-number', number: 'not-a-number', boolean: 'not-a-boolean', array: 'not-an-array', object: 'not-an-object' }[this.schemaType(property)];
+      if (wrong !== undefined) {
+        invalid.push({ name: `"${name}" has wrong type`, data: { ...valid, [name]: wrong } });
+      }
+    }
+
+    return invalid.slice(0, MAX_INVALID_PAYLOADS);
+  }
+
+  relativeFile() {
+    return path.relative(process.cwd(), this.file);
+  }
+}
@@ -0,0 +1,279 @@
+import traverse from '@babel/traverse';
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+
+const ROUTER_PACKAGES = ['react-router', 'react-router-dom', '@remix-run/react', '@tanstack/react-router'];
+const COMPONENT_KEYS = ['element', 'Component', 'component', 'lazy'];
+
+// Explicit routes win over file conventions when a component has several
+const SOURCE_RANK = { manifest: 0, 'react-router': 1, 'next-app': 2, 'next-pages': 2 };
+
+// Maps components to the URLs where they render. Routes come from React
+// Router configs (<Route> JSX and route objects), Next.js `pages/` and `app/`
+// conventions (in packages depending on `next` only) and an optional explicit
+// manifest; a component that is not a route itself inherits the routes of the
+// pages importing it.
+export class RouteMap {
+  constructor(graph, parse, options = {}) {
+    this.graph = graph;
+    this.parse = parse;
+    this.params = options.params || {};
+    this.defaultParam = options.defaultParam || '1';
+    this.manifest = options.manifest || null;
+    this.routes = [];
+    // Directory -> whether the nearest package.json depends on next
+    this.nextProjects = new Map();
+  }
+
+  build(files) {
+    if (this.manifest && existsSync(this.manifest)) {
+      this.routes.push(...this.manifestRoutes(this.manifest));
+    }
+
+    for (const file of files) {
+      const nextRoute = this.usesNext(file) ? this.nextRoute(file) : null;
+      if (nextRoute) this.routes.push({ path: nextRoute.path, component: file, source: nextRoute.source });
+
+      try {
+        this.routes.push(...this.routerRoutes(readFileSync(file, 'utf8'), file));
+      } catch (error) {
+        console.error(`Failed to read routes of ${file}:`, error.message);
+      }
+    }
+
+    this.routes.sort((a, b) => SOURCE_RANK[a.source] - SOURCE_RANK[b.source]);
+    return this;
+  }
+
+  // Whether the nearest package.json above the file lists `next` as a
+  // dependency; `pages/` in other apps is only a folder name
+  usesNext(file) {
+    const dir = path.dirname(path.resolve(file));
+    if (this.nextProjects.has(dir)) return this.nextProjects.get(dir);
+
+    const manifest = path.join(dir, 'package.json');
+    let uses;
+    if (existsSync(manifest)) {
+      try {
+        const pkg = JSON.parse(readFileSync(manifest, 'utf8'));
+        uses = Boolean(pkg.dependencies?.next || pkg.devDependencies?.next);
+      } catch {
+        uses = false;
+      }
+    } else {
+      uses = path.dirname(dir) !== dir && this.usesNext(dir);
+    }
+
+    this.nextProjects.set(dir, uses);
+    return uses;
+  }
+
+  manifestRoutes(manifestPath) {
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    const entries = Array.isArray(manifest) ? manifest : manifest.routes || [];
+
+    return entries.map(entry => {
+      if (!entry.path || !entry.component) {
+        throw new Error(`${manifestPath}: every route needs "path" and "component"`);
+      }
+      return { path: entry.path, component: entry.component, source: 'manifest', params: entry.params || {} };
+    });
+  }
+
+  // Next.js file-system routes: pages/users/[id].js -> /users/:id,
+  // app/(shop)/cart/page.tsx -> /cart
+  nextRoute(file) {
+    const pages = file.match(/(?:^|\/)pages\/(.+)\.(?:jsx?|tsx?|mjs)$/);
+    if (pages) {
+      const segments = pages[1].split('/');
+      if (segments[0] === 'api' || segments.some(s => s.startsWith('_'))) return null;
+      if (segments[segments.length - 1] === 'index') segments.pop();
+      return { path: this.nextPath(segments), source: 'next-pages' };
+    }
+
+    const app = file.match(/(?:^|\/)app\/(?:(.*)\/)?page\.(?:jsx?|tsx?|mjs)$/);
+    if (app) {
+      const segments = (app[1] || '').split('/').filter(s => s && !/^\(.*\)$/.test(s) && !s.startsWith('@'));
+      return { path: this.nextPath(segments), source: 'next-app' };
+    }
+
+    return null;
+  }
+
+  nextPath(segments) {
+    const converted = segments.map(segment => {
+      const dynamic = segment.match(/^\[{1,2}(?:\.\.\.)?([^\]]+)\]{1,2}$/);
+      return dynamic ? `:${dynamic[1]}` : segment;
+    });
+    return `/${converted.join('/')}`;
+  }
+
+  // React Router routes declared in a module that imports a router package
+  routerRoutes(content, file) {
+    if (!ROUTER_PACKAGES.some(pkg => content.includes(pkg))) return [];
+
+    const ast = this.parse(content, file);
+    const bindings = this.componentBindings(ast);
+    const routes = [];
+    const add = (routePath, componentName) => {
+      if (routePath == null || !componentName) return;
+      routes.push({
+        path: routePath,
+        component: this.componentFile(file, componentName, bindings),
+        source: 'react-router'
+      });
+    };
+
+    traverse.default(ast, {
+      JSXElement: path => {
+        const opening = path.node.openingElement;
+        if (opening.name.name !== 'Route') return;
+        add(this.jsxRoutePath(path), this.jsxRouteComponent(opening));
+      },
+      ObjectExpression: path => {
+        if (!this.property(path.node, 'path') && !this.property(path.node, 'index')) return;
+        const component = COMPONENT_KEYS.map(key => this.property(path.node, key)).find(Boolean);
+        if (!component) return;
+        add(this.objectRoutePath(path), this.componentName(component));
+      }
+    });
+
+    return routes;
+  }
+
+  property(objectNode, name) {
+    const prop = objectNode.properties.find(p =>
+      (p.type === 'ObjectProperty' || p.type === 'ObjectMethod') && !p.computed && p.key.name === name
+    );
+    return prop ? (prop.value || prop) : null;
+  }
+
+  jsxAttribute(opening, name) {
+    return opening.attributes.find(a => a.type === 'JSXAttribute' && a.name.name === name) || null;
+  }
+
+  // Joins the paths of all enclosing <Route> elements; index and layout
+  // routes without a path add nothing
+  jsxRoutePath(path) {
+    const segments = [];
+    for (let current = path; current; current = current.parentPath) {
+      if (!current.isJSXElement() || current.node.openingElement.name.name !== 'Route') continue;
+      const attr = this.jsxAttribute(current.node.openingElement, 'path');
+      if (attr?.value?.type === 'StringLiteral') segments.unshift(attr.value.value);
+    }
+    return this.joinRoutePaths(segments);
+  }
+
+  jsxRouteComponent(opening) {
+    for (const key of COMPONENT_KEYS) {
+      const attr = this.jsxAttribute(opening, key);
+      if (attr?.value?.type === 'JSXExpressionContainer') {
+        const name = this.componentName(attr.value.expression);
+        if (name) return name;
+      }
+    }
+    return null;
+  }
+
+  // Joins the paths of all enclosing route objects (`children` nesting)
+  objectRoutePath(path) {
+    const segments = [];
+    for (let current = path; current; current = current.parentPath) {
+      if (!current.isObjectExpression()) continue;
+      const routePath = this.property(current.node, 'path');
+      if (routePath?.type === 'StringLiteral') segments.unshift(routePath.value);
+    }
+    return this.joinRoutePaths(segments);
+  }
+
+  joinRoutePaths(segments) {
+    const joined = segments
+      .map(segment => segment.replace(/^\/+|\/+$/g, ''))
+      .filter(Boolean)
+      .join('/');
+    return `/${joined}`;
+  }
+
+  // <Page />, Page, () => import('./Page')
+  componentName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'JSXElement') return this.componentName(node.openingElement.name);
+    if (node.type === 'JSXIdentifier') return node.name;
+    if (node.type === 'ArrowFunctionExpression' || node.type === 'ObjectMethod') {
+      const specifier = this.dynamicImportSpecifier(node);
+      return specifier ? `import:${specifier}` : null;
+    }
+    return null;
+  }
+
+  dynamicImportSpecifier(node) {
+    let specifier = null;
+    traverse.default.cheap(node, child => {
+      if (child.type === 'CallExpression' && child.callee.type === 'Import' &&
+          child.arguments[0]?.type === 'StringLiteral') {
+        specifier = child.arguments[0].value;
+      }
+    });
+    return specifier;
+  }
+
+  // Local name -> import specifier, including `const Page = lazy(() => import('./Page'))`
+  componentBindings(ast) {
+    const bindings = new Map();
+
+    for (const statement of ast.program.body) {
+      if (statement.type === 'ImportDeclaration') {
+        statement.specifiers.forEach(spec => bindings.set(spec.local.name, statement.source.value));
+      }
+      if (statement.type === 'VariableDeclaration') {
+        for (const { id, init } of statement.declarations) {
+          if (id.type !== 'Identifier' || init?.type !== 'CallExpression') continue;
+          const specifier = this.dynamicImportSpecifier(init);
+          if (specifier) bindings.set(id.name, specifier);
+        }
+      }
+    }
+
+    return bindings;
+  }
+
+  componentFile(file, componentName, bindings) {
+    const specifier = componentName.startsWith('import:')
+      ? componentName.slice('import:'.length)
+      : bindings.get(componentName);
+
+    // Components declared in the routes module itself render from it
+    if (!specifier) return file;
+    return this.graph.resolveImport(file, specifier) || file;
+  }
+
+  // Concrete URLs for a file: its own routes, else the routes of the
+  // nearest route components importing it
+  routesForFile(file) {
+    const own = this.routes.filter(route => route.component === file);
+    if (own.length > 0) return own.map(route => this.describe(route, file));
+
+    for (const dependent of this.graph.getDependents(file)) {
+      const routes = this.routes.filter(route => route.component === dependent);
+      if (routes.length > 0) return routes.map(route => this.describe(route, dependent));
+    }
+
+    return [];
+  }
+
+  describe(route, via) {
+    return {
+      path: route.path,
+      url: this.concreteURL(route.path, route.params),
+      via,
+      source: route.source
+    };
+  }
+
+  concreteURL(routePath, routeParams = {}) {
+    return routePath
+      .replace(/:(\w+)\??/g, (match, name) => routeParams[name] ?? this.params[name] ?? this.defaultParam)
+      .replace(/\/\*$/, '') || '/';
+  }
+}
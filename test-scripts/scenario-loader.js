@@ -0,0 +1,210 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+import { minimatch } from 'minimatch';
+import { parse as parseYAML } from 'yaml';
+import { loadConfigSection } from './config-section.js';
+
+const DEFAULT_SCENARIOS = {
+  patterns: ['scenarios/**/*.{yml,yaml,json}']
+};
+
+// Fields each action type needs besides its element descriptor
+const ACTION_FIELDS = {
+  click: [],
+  input: [],
+  submit: [],
+  hover: [],
+  selectOption: [],
+  check: [],
+  uncheck: [],
+  press: ['key'],
+  dragTo: ['target'],
+  setInputFiles: ['files'],
+  scrollIntoView: [],
+  expectText: ['text'],
+  expectVisible: [],
+  expectValue: ['value']
+};
+
+// Declarative user flows kept in YAML or JSON files. A scenario lists the
+// source files (globs) and functions it covers and a sequence of steps, each
+// opening a URL (or staying on the current page) and running self-healing
+// actions and assertions:
+//
+//   name: Checkout with a saved card
+//   covers:
+//     files: ['src/components/checkout/**']
+//     functions: [handleSubmit, 'src/pages/cart.jsx#applyCoupon']
+//   elements:
+//     payButton: { testId: pay-button, role: button, text: Pay }
+//   steps:
+//     - url: /cart
+//       actions:
+//         - { type: click, selectors: { testId: checkout, role: button, text: Checkout } }
+//     - url: /checkout
+//       actions:
+//         - { type: click, element: payButton }
+//         - { type: expectText, selectors: { role: status }, text: Order placed }
+//
+// A step's `selectors` is the default descriptor of its actions; an action
+// names its own with `selectors` or `element`.
+export class ScenarioLoader {
+  constructor(options = {}) {
+    this.patterns = options.patterns || DEFAULT_SCENARIOS.patterns;
+  }
+
+  static loadConfig(configPath) {
+    const config = loadConfigSection(configPath, 'scenarios', DEFAULT_SCENARIOS);
+
+    if (!Array.isArray(config.patterns) || config.patterns.some(p => typeof p !== 'string' || p === '')) {
+      throw new Error(`${configPath}: scenarios.patterns must be an array of glob strings`);
+    }
+
+    return config;
+  }
+
+  async listFiles() {
+    const files = await glob(this.patterns, { ignore: ['**/node_modules/**'], nodir: true, posix: true });
+    return files.sort();
+  }
+
+  async loadAll() {
+    const scenarios = [];
+    for (const file of await this.listFiles()) {
+      scenarios.push(...this.load(file));
+    }
+    return scenarios;
+  }
+
+  // Scenarios of one file (a scenario or a list of them), validated and with
+  // `element` references resolved to descriptors
+  load(file) {
+    const content = readFileSync(file, 'utf8');
+    let raw;
+    try {
+      raw = path.extname(file) === '.json' ? JSON.parse(content) : parseYAML(content);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+
+    const entries = [raw].flat();
+    return entries.map((entry, index) => this.validate(entry, entries.length > 1 ? `${file}[${index}]` : file, file));
+  }
+
+  validate(raw, where, file) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error(`${where}: a scenario must be an object`);
+    }
+    if (typeof raw.name !== 'string' || raw.name.trim() === '') {
+      throw new Error(`${where}: scenario needs a "name"`);
+    }
+
+    const covers = { files: raw.covers?.files || [], functions: raw.covers?.functions || [] };
+    for (const key of ['files', 'functions']) {
+      if (!Array.isArray(covers[key]) || covers[key].some(value => typeof value !== 'string' || value === '')) {
+        throw new Error(`${where}: covers.${key} must be an array of strings`);
+      }
+    }
+    if (covers.files.length === 0 && covers.functions.length === 0) {
+      throw new Error(`${where}: covers must list the source files or functions the scenario tests`);
+    }
+
+    const elements = raw.elements || {};
+    if (typeof elements !== 'object' || Array.isArray(elements)) {
+      throw new Error(`${where}: elements must map names to selector descriptors`);
+    }
+    if (!Array.isArray(raw.steps) || raw.steps.length === 0) {
+      throw new Error(`${where}: scenario needs at least one step`);
+    }
+    if (typeof raw.steps[0]?.url !== 'string') {
+      throw new Error(`${where}: the first step must open a "url"`);
+    }
+
+    const steps = raw.steps.map((step, index) => this.validateStep(step, `${where}: step ${index + 1}`, elements));
+    return { name: raw.name, file, covers, steps };
+  }
+
+  validateStep(step, where, elements) {
+    if (!step || typeof step !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+    if (step.url !== undefined && typeof step.url !== 'string') {
+      throw new Error(`${where}: url must be a string`);
+    }
+    if (!Array.isArray(step.actions) || step.actions.length === 0) {
+      throw new Error(`${where} needs at least one action`);
+    }
+
+    const descriptor = (value, field) => {
+      if (typeof value === 'string') {
+        if (!elements[value]) throw new Error(`${where}: unknown element "${value}" in ${field}`);
+        return elements[value];
+      }
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`${where}: ${field} must be a selector descriptor or an element name`);
+      }
+      return value;
+    };
+    const defaults = step.selectors === undefined ? null : descriptor(step.selectors, 'selectors');
+
+    const actions = step.actions.map((action, index) => {
+      const at = `action ${index + 1}`;
+      if (!action || !ACTION_FIELDS[action.type]) {
+        throw new Error(`${where}: ${at} has unknown type "${action?.type}" (valid: ${Object.keys(ACTION_FIELDS).join(', ')})`);
+      }
+      const missing = ACTION_FIELDS[action.type].filter(field => action[field] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`${where}: ${at} (${action.type}) needs ${missing.join(', ')}`);
+      }
+
+      const { element, ...rest } = action;
+      const selectors = element !== undefined
+        ? descriptor(element, `${at} element`)
+        : action.selectors !== undefined ? descriptor(action.selectors, `${at} selectors`) : defaults;
+      const pageWide = action.type === 'press' && action.scope === 'page';
+      if (!selectors && !pageWide) {
+        throw new Error(`${where}: ${at} (${action.type}) has no selectors, element or step selectors`);
+      }
+
+      const resolved = { ...rest, selectors };
+      if (action.type === 'dragTo') resolved.target = descriptor(action.target, `${at} target`);
+      return resolved;
+    });
+
+    return { name: step.name || null, url: step.url || null, actions };
+  }
+
+  // Scenarios covering the changes of a change analysis, each with the
+  // reasons it was selected. A file glob matches a changed file or one of
+  // its dependents. A function entry matches the analyzer's qualified name
+  // (`Button.handleClick`) or its last segment (`handleClick`), in any file,
+  // or in one file as `file#name`.
+  select(scenarios, changes) {
+    const files = Object.entries(changes.files || {});
+
+    return scenarios.flatMap(scenario => {
+      const reasons = [];
+      for (const [file, data] of files) {
+        const paths = [file, data.previousFile].filter(Boolean);
+        const pattern = scenario.covers.files.find(glob => paths.some(p => minimatch(p, glob, { dot: true })));
+        if (pattern) {
+          reasons.push(`${file} changed (${pattern})`);
+          continue;
+        }
+
+        const dependent = (data.dependents || []).find(d => scenario.covers.files.some(glob => minimatch(d, glob, { dot: true })));
+        if (dependent) reasons.push(`${file} changed, imported by ${dependent}`);
+
+        for (const name of Object.keys(data.functions || {})) {
+          const names = [name, name.split('.').pop()];
+          if (scenario.covers.functions.some(entry => names.some(n => entry === n || entry === `${file}#${n}`))) {
+            reasons.push(`${name} changed in ${file}`);
+          }
+        }
+      }
+
+      return reasons.length > 0 ? [{ name: scenario.name, file: scenario.file, reasons }] : [];
+    });
+  }
+}
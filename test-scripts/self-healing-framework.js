@@ -3,130 +3,707 @@ import { readFileSync, existsSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { FingerprintMatcher } from './element-fingerprint.js';
+import { VisualMatcher } from './visual-matcher.js';
+import { AccessibilityTree } from './accessibility-tree.js';
+import { HealVerifier } from './heal-verifier.js';
+import { HealingEvidence } from './healing-evidence.js';
+import { resolveRequests } from './http-call-extractor.js';
+import { loadConfigSection } from './config-section.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Healing tiers in their default order. test-config.json
+// selfHealing.strategies reorders them or leaves some out.
+export const HEALING_STRATEGIES = ['testId', 'css', 'xpath', 'text', 'role', 'accessibility', 'fingerprint', 'visual', 'ai'];
+
+// Screenshot matching is slow: while polling, the visual tier runs at most
+// once per element in this interval
+const VISUAL_RETRY_INTERVAL = 5000;
+
+// How long an element that is found but not actionable holds back the lower
+// tiers, in ms (at most half the lookup's timeout)
+const ACTIONABILITY_GRACE = 2000;
+
+const DEFAULT_SELF_HEALING = {
+  enabled: true,
+  maxRetries: 0,
+  retryDelay: 500,
+  strict: true,
+  similarityThreshold: 0.7,
+  visualThreshold: 0.9,
+  strategies: HEALING_STRATEGIES
+};
+
+// Single-quoted JS string literal, for locator expressions in reports
+const quote = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
 export class SelfHealingTest {
-  constructor(page) {
+  // `options` takes the selfHealing settings of test-config.json (see
+  // loadConfig) plus `locators`, a LocatorRepository recording healed
+  // selectors, element fingerprints and reference crops, and `evidenceDir`,
+  // where screenshots of every heal are written. In strict mode a tier only
+  // succeeds with exactly one element.
+  constructor(page, options = {}) {
+    const config = { ...DEFAULT_SELF_HEALING, ...options };
     this.page = page;
+    this.locators = config.locators || null;
+    this.matcher = new FingerprintMatcher({ threshold: config.similarityThreshold });
+    this.visualMatcher = new VisualMatcher({ threshold: config.visualThreshold });
+    this.accessibility = new AccessibilityTree({ threshold: config.similarityThreshold });
+    this.verifier = new HealVerifier();
+    this.evidence = config.evidenceDir ? new HealingEvidence(config.evidenceDir) : null;
+    this.visualChecks = new Map();
+    this.enabled = config.enabled;
+    this.strategies = config.strategies;
+    this.maxRetries = config.maxRetries;
+    this.retryDelay = config.retryDelay;
+    // Overall resolution timeout; TIMEOUT comes from .env
+    this.timeout = config.timeout ?? (Number(process.env.TIMEOUT) || 30000);
+    this.strict = config.strict;
     this.healingAttempts = [];
+    this.ambiguities = [];
   }
 
-  async findElement(selectors, context = null) {
-    const strategies = [
-      // Tier 1: ID/data-testid
-      async () => {
-        if (selectors.testId) return this.page.locator(`[data-testid="${selectors.testId}"]`);
-        if (selectors.id) return this.page.locator(`#${selectors.id}`);
+  static loadConfig(configPath) {
+    const config = loadConfigSection(configPath, 'selfHealing', DEFAULT_SELF_HEALING);
+
+    for (const key of ['enabled', 'strict']) {
+      if (typeof config[key] !== 'boolean') {
+        throw new Error(`${configPath}: selfHealing.${key} must be a boolean`);
+      }
+    }
+    if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0) {
+      throw new Error(`${configPath}: selfHealing.maxRetries must be a non-negative integer`);
+    }
+    if (typeof config.retryDelay !== 'number' || config.retryDelay < 0) {
+      throw new Error(`${configPath}: selfHealing.retryDelay must be a non-negative number of milliseconds`);
+    }
+    for (const key of ['similarityThreshold', 'visualThreshold']) {
+      if (typeof config[key] !== 'number' || config[key] < 0 || config[key] > 1) {
+        throw new Error(`${configPath}: selfHealing.${key} must be between 0 and 1`);
+      }
+    }
+    if (!Array.isArray(config.strategies) || config.strategies.length === 0) {
+      throw new Error(`${configPath}: selfHealing.strategies must list at least one strategy`);
+    }
+    const unknown = config.strategies.filter(name => !HEALING_STRATEGIES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`${configPath}: unknown selfHealing.strategies ${unknown.join(', ')} (valid: ${HEALING_STRATEGIES.join(', ')})`);
+    }
+
+    return config;
+  }
+
+  // Each tier returns { selector, locator }; `selector` is the Playwright
+  // expression reported when the tier heals a broken locator. `root` is the
+  // page, a frame or a shadow host locator (see scopes()).
+  tiers(selectors, context, key, root) {
+    return {
+      // ID/data-testid
+      testId: async () => {
+        if (selectors.testId) return this.locate(`[data-testid="${selectors.testId}"]`, root);
+        if (selectors.id) return this.locate(`#${selectors.id}`, root);
       },
       
-      // Tier 2: CSS with context
-      async () => {
+      // CSS with context
+      css: async () => {
         if (selectors.css) {
-          const base = context || this.page;
-          return base.locator(selectors.css);
+          const base = context || root;
+          return this.locate(selectors.css, base);
         }
       },
       
-      // Tier 3: XPath relative
-      async () => {
-        if (selectors.xpath) return this.page.locator(`xpath=${selectors.xpath}`);
+      // XPath relative
+      xpath: async () => {
+        if (selectors.xpath) return this.locate(`xpath=${selectors.xpath}`, root);
       },
       
-      // Tier 4: Text matching
-      async () => {
+      // Text matching
+      text: async () => {
         if (selectors.text) {
-          return this.page.locator(`text=${selectors.text}`);
+          return this.locate(`text=${selectors.text}`, root);
         }
         if (selectors.partialText) {
-          return this.page.locator(`text=/${selectors.partialText}/i`);
+          return this.locate(`text=/${selectors.partialText}/i`, root);
         }
       },
       
-      // Tier 5: Visual pattern (minimal)
-      async () => {
+      // Accessible role and name
+      role: async () => {
         if (selectors.role && selectors.name) {
-          return this.page.getByRole(selectors.role, { name: selectors.name });
+          return this.candidate(
+            `getByRole(${quote(selectors.role)}, { name: ${quote(selectors.name)} })`,
+            root.getByRole(selectors.role, { name: selectors.name })
+          );
         }
       },
       
-      // Tier 6: AI detection fallback
-      async () => {
+      // Accessibility tree: same role, closest accessible name and
+      // description, same landmarks as when last matched
+      accessibility: async () => {
+        if (!selectors.role) return;
+        
+        const match = await this.accessibility.match(root, {
+          role: selectors.role,
+          name: selectors.name,
+          description: selectors.description,
+          landmarks: selectors.landmarks || this.locators?.fingerprint(key)?.landmarks
+        });
+        if (match) return { ...this.byRole(match.steps, root), score: match.score };
+      },
+      
+      // Similarity to the fingerprint captured on a passing run
+      fingerprint: async () => {
+        const recorded = this.locators?.fingerprint(key);
+        if (!recorded) return;
+        
+        const match = await this.matcher.match(root, recorded);
+        if (match) {
+          return { ...this.locate(this.preferredSelector(match.fingerprint), root), score: match.score };
+        }
+      },
+      
+      // Reference crop from a passing run, found in a page screenshot and
+      // hit-tested at the matched position
+      visual: async () => {
+        if (root !== this.page) return;
+        const reference = this.locators?.reference(key);
+        if (!reference) return;
+        
+        const lastCheck = this.visualChecks.get(key);
+        if (lastCheck && Date.now() - lastCheck < VISUAL_RETRY_INTERVAL) return;
+        this.visualChecks.set(key, Date.now());
+        
+        const match = await this.visualMatcher.match(this.page, reference.png, reference.box);
+        if (!match) return;
+        const selector = await this.visualMatcher.elementAt(this.page, match);
+        if (selector) return { ...this.locate(selector, root), score: match.score };
+      },
+      
+      // AI detection fallback
+      ai: async () => {
         if (selectors.description) {
           // Try multiple combinations
           const attempts = [
-            this.page.getByText(selectors.description, { exact: false }),
-            this.page.getByLabel(selectors.description),
-            this.page.getByPlaceholder(selectors.description)
+            this.candidate(`getByText(${quote(selectors.description)})`, root.getByText(selectors.description, { exact: false })),
+            this.candidate(`getByLabel(${quote(selectors.description)})`, root.getByLabel(selectors.description)),
+            this.candidate(`getByPlaceholder(${quote(selectors.description)})`, root.getByPlaceholder(selectors.description))
           ];
           
           for (const attempt of attempts) {
-            const count = await attempt.count();
+            const count = await attempt.locator.count();
             if (count === 1) return attempt;
           }
         }
       }
-    ];
+    };
+  }
 
-    for (let i = 0; i < strategies.length; i++) {
-      try {
-        const element = await strategies[i]();
-        if (element && await element.count() > 0) {
-          this.healingAttempts.push({
-            selectors,
-            strategy: i + 1,
-            success: true,
-            timestamp: Date.now()
-          });
-          return element;
+  // Polls the configured tiers together until `timeout`: every pass runs
+  // them in order and the first tier whose element is unique, visible,
+  // enabled and stable wins. During the first ACTIONABILITY_GRACE ms, a
+  // tier that finds its element still hidden, disabled or moving ends the
+  // pass: the element is likely rendering, not broken, so it is polled
+  // again rather than healed. After that the lower tiers run past it, so a
+  // hidden duplicate of the element still heals. With healing disabled only
+  // the first tier that applies to the descriptor (its primary locator) is
+  // tried. At least `maxRetries` extra passes are made, `retryDelay` apart.
+  // With `options.intent` (see HealVerifier) an element found by a fallback
+  // tier is checked against it and the descriptor's role; a mismatch makes
+  // the heal low-confidence rather than successful. `options.actionable:
+  // false` accepts hidden and disabled elements (file inputs, assertions).
+  async findElement(selectors, context = null, options = {}) {
+    const key = this.elementKey(selectors);
+    const timeout = options.timeout ?? this.timeout;
+    const ambiguitiesBefore = this.ambiguities.length;
+    const startTime = Date.now();
+    const grace = Math.min(ACTIONABILITY_GRACE, timeout / 2);
+    // Time spent in each tier across all passes
+    const tierTimings = {};
+    // Selectors of the tiers that matched nothing usable in any scope
+    let failed = [];
+    // Selector whose element was found but not actionable in the last pass
+    let pending = null;
+    let passes = 0;
+    // Last selector each tier tried, and the page when the primary locator
+    // first failed, for heal evidence
+    const lastTried = {};
+    let before;
+
+    while (true) {
+      passes++;
+      failed = [];
+      pending = null;
+      const waiting = Date.now() - startTime < grace;
+
+      // Each tier searches the main document, then same-origin iframes,
+      // before the next tier runs: an element in a frame is found by its
+      // primary locator before any fallback can match a lookalike outside
+      const scopes = (await this.scopes(selectors))
+        .map(scope => ({ ...scope, tiers: this.tiers(selectors, context, key, scope.root) }));
+
+      for (const strategy of this.strategies) {
+        // This tier's selectors that found nothing, one per scope
+        const missed = [];
+
+        for (const scope of scopes) {
+          const tierStart = Date.now();
+          let candidate;
+          let resolved = null;
+          let actionable = false;
+          try {
+            candidate = await scope.tiers[strategy]();
+            if (candidate) {
+              candidate.selector = `${scope.expression}${candidate.selector}`;
+              lastTried[strategy] = candidate.selector;
+            }
+            resolved = candidate && await this.resolveCandidate(key, candidate, selectors, context, strategy, scope.root);
+            actionable = Boolean(resolved) && (options.actionable === false || await this.isActionable(resolved.locator));
+          } catch (error) {
+            // Continue to next scope
+          }
+          tierTimings[strategy] = (tierTimings[strategy] || 0) + Date.now() - tierStart;
+
+          if (resolved && !actionable) {
+            pending = pending || resolved.selector;
+            if (waiting) break;
+            missed.push(resolved.selector);
+            continue;
+          }
+          if (resolved) {
+            this.collapseAmbiguities(ambiguitiesBefore);
+            // A heal that could not be inspected (element detached, page
+            // navigating) is unverified, not trusted
+            const verification = failed.length > 0 && options.intent
+              ? await this.verifier.verify(resolved.locator, selectors, options.intent)
+                .catch(error => [`could not verify ${resolved.selector}: ${error.message.split('\n')[0]}`])
+              : [];
+            const tried = this.strategies.slice(0, this.strategies.indexOf(strategy) + 1).map(name => ({
+              strategy: name,
+              duration: tierTimings[name] ?? 0,
+              selector: lastTried[name] ?? null
+            }));
+            const evidence = failed.length > 0 && this.evidence
+              ? await this.collectEvidence(key, resolved, before, failed, tried)
+              : null;
+            this.healingAttempts.push({
+              selectors,
+              strategy,
+              scope: scope.name,
+              passes,
+              duration: Date.now() - startTime,
+              tierTimings,
+              selector: resolved.selector,
+              failedSelectors: failed,
+              score: resolved.score ?? null,
+              success: verification.length === 0,
+              lowConfidence: verification.length > 0,
+              verification,
+              evidence,
+              timestamp: Date.now()
+            });
+            // A suspicious heal is not suggested as the new locator
+            if (verification.length === 0) await this.recordLocator(key, selectors, strategy, failed, resolved);
+            return resolved.locator;
+          }
+          if (candidate) missed.push(candidate.selector);
+        }
+
+        if (pending && waiting) break;
+        if (missed.length > 0) {
+          failed.push(...missed);
+          if (!this.enabled) break;
+          if (this.evidence && before === undefined) before = await this.evidence.screenshot(this.page);
         }
-      } catch (error) {
-        // Continue to next strategy
       }
+
+      const elapsed = Date.now() - startTime;
+      if (elapsed >= timeout && passes > this.maxRetries) break;
+      await this.page.waitForTimeout(elapsed >= timeout ? this.retryDelay : Math.min(this.retryDelay, timeout - elapsed));
     }
 
+    this.collapseAmbiguities(ambiguitiesBefore);
     this.healingAttempts.push({
       selectors,
       strategy: 'failed',
+      passes,
+      duration: Date.now() - startTime,
+      tierTimings,
+      failedSelectors: failed,
+      notActionable: pending,
       success: false,
       timestamp: Date.now()
     });
     
-    throw new Error(`Element not found with selectors: ${JSON.stringify(selectors)}`);
+    if (pending) {
+      throw new Error(`Element ${pending} found but not visible, enabled and stable within ${timeout}ms`);
+    }
+    
+    const ambiguous = this.ambiguities.slice(ambiguitiesBefore);
+    if (ambiguous.length > 0) {
+      const matches = ambiguous.map(a => `${a.selector} matched ${a.candidates}`).join(', ');
+      throw new Error(`No unique element for selectors: ${JSON.stringify(selectors)} (${matches})`);
+    }
+    throw new Error(`Element not found within ${timeout}ms with selectors: ${JSON.stringify(selectors)}`);
+  }
+
+  // Screenshots before and after the heal (healed element outlined), the
+  // failing primary selector, the markup around the healed element and the
+  // time spent in each tier tried
+  async collectEvidence(key, resolved, before, failed, tiers) {
+    const after = await this.evidence.highlighted(this.page, resolved.locator).catch(() => null);
+    return {
+      primarySelector: failed[0],
+      healedSelector: resolved.selector,
+      screenshots: this.evidence.save(key, { before, after }),
+      domSnippet: await this.evidence.snippet(resolved.locator),
+      tiers
+    };
+  }
+
+  // Where the tiers search. A descriptor's `frames` (iframe selectors,
+  // outermost first) and `shadowHosts` (shadow host selectors) pin the
+  // lookup to that frame chain and host path; otherwise the page is searched
+  // and then its same-origin iframes. CSS, text and role locators pierce
+  // open shadow roots by themselves.
+  async scopes(selectors) {
+    if (selectors.frames?.length || selectors.shadowHosts?.length) {
+      let root = this.page;
+      let expression = '';
+      for (const frame of selectors.frames || []) {
+        root = root.frameLocator(frame);
+        expression += `frameLocator(${quote(frame)}).`;
+      }
+      for (const host of selectors.shadowHosts || []) {
+        root = root.locator(host);
+        expression += `locator(${quote(host)}).`;
+      }
+      return [{ root, expression, name: expression.slice(0, -1) }];
+    }
+
+    const main = this.page.mainFrame();
+    const origin = this.originOf(main.url());
+    const frames = this.page.frames().filter(frame => frame !== main && this.originOf(frame.url()) === origin);
+
+    return [
+      { root: this.page, expression: '', name: 'page' },
+      ...frames.map(frame => ({
+        root: frame,
+        expression: `frame({ url: ${quote(frame.url())} }).`,
+        name: `frame ${frame.url()}`
+      }))
+    ];
+  }
+
+  originOf(url) {
+    try {
+      return new URL(url).origin;
+    } catch {
+      return null;
+    }
+  }
+
+  // Visible, enabled and at the same position over two animation frames
+  async isActionable(locator) {
+    const element = locator.first();
+    if (!await element.isVisible() || !await element.isEnabled()) return false;
+
+    return element.evaluate(el => new Promise(resolve => {
+      const first = el.getBoundingClientRect();
+      requestAnimationFrame(() => requestAnimationFrame(() => {
+        const second = el.getBoundingClientRect();
+        resolve(first.x === second.x && first.y === second.y &&
+          first.width === second.width && first.height === second.height);
+      }));
+    }));
+  }
+
+  // Polling reports the same ambiguous locator on every pass; keep the last
+  collapseAmbiguities(from) {
+    const latest = new Map();
+    this.ambiguities.splice(from).forEach(a => latest.set(`${a.strategy} ${a.selector}`, a));
+    this.ambiguities.push(...latest.values());
+  }
+
+  candidate(selector, locator) {
+    return { selector, locator };
+  }
+
+  locate(selector, base = this.page) {
+    return this.candidate(`locator(${quote(selector)})`, base.locator(selector));
+  }
+
+  // Chain of exact getByRole lookups, e.g. a landmark then the element in it
+  byRole(steps, base = this.page) {
+    let locator = base;
+    const expressions = [];
+    for (const { role, name, nth } of steps) {
+      locator = name ? locator.getByRole(role, { name, exact: true }) : locator.getByRole(role);
+      expressions.push(name ? `getByRole(${quote(role)}, { name: ${quote(name)}, exact: true })` : `getByRole(${quote(role)})`);
+      if (nth !== null) {
+        locator = locator.nth(nth);
+        expressions.push(`nth(${nth})`);
+      }
+    }
+    return this.candidate(expressions.join('.'), locator);
+  }
+
+  // The candidate if it matches exactly one element. Ambiguous matches are
+  // narrowed with the descriptor's other fields or rejected, and reported.
+  async resolveCandidate(key, candidate, selectors, context, strategy, root = this.page) {
+    const count = await candidate.locator.count();
+    if (count === 0) return null;
+    if (count === 1 || !this.strict) return candidate;
+
+    const narrowed = await this.narrow(candidate.locator, selectors, context, root);
+    this.ambiguities.push({
+      element: key,
+      strategy,
+      selector: candidate.selector,
+      candidates: count,
+      resolved: Boolean(narrowed),
+      narrowedBy: narrowed ? narrowed.fields : []
+    });
+    if (!narrowed) return null;
+
+    return { ...candidate, selector: `${candidate.selector}${narrowed.expression}`, locator: narrowed.locator };
+  }
+
+  // Applies role, text, context and attribute filters in turn, skipping any
+  // that would exclude every element, until one element is left
+  async narrow(locator, selectors, context, root = this.page) {
+    const filters = [
+      selectors.role && {
+        field: 'role',
+        expression: selectors.name
+          ? `.and(getByRole(${quote(selectors.role)}, { name: ${quote(selectors.name)} }))`
+          : `.and(getByRole(${quote(selectors.role)}))`,
+        apply: current => current.and(root.getByRole(selectors.role, selectors.name ? { name: selectors.name } : {}))
+      },
+      selectors.text && {
+        field: 'text',
+        expression: `.filter({ hasText: ${quote(selectors.text)} })`,
+        apply: current => current.filter({ hasText: selectors.text })
+      },
+      context && {
+        field: 'context',
+        expression: '.and(context.locator(\'*\'))',
+        apply: current => current.and(context.locator('*'))
+      },
+      selectors.testId && {
+        field: 'testId',
+        expression: `.and(locator(${quote(`[data-testid="${selectors.testId}"]`)}))`,
+        apply: current => current.and(root.locator(`[data-testid="${selectors.testId}"]`))
+      },
+      selectors.id && {
+        field: 'id',
+        expression: `.and(locator(${quote(`#${selectors.id}`)}))`,
+        apply: current => current.and(root.locator(`#${selectors.id}`))
+      }
+    ].filter(Boolean);
+
+    let current = locator;
+    let expression = '';
+    const fields = [];
+
+    for (const filter of filters) {
+      const next = filter.apply(current);
+      const count = await next.count();
+      if (count === 0) continue;
+
+      current = next;
+      expression += filter.expression;
+      fields.push(filter.field);
+      if (count === 1) return { locator: current, expression, fields };
+    }
+
+    return null;
+  }
+
+  // Logical element name used by the locator repository
+  elementKey(selectors) {
+    return selectors.key || selectors.testId || selectors.id || selectors.css || selectors.description ||
+      JSON.stringify(selectors);
+  }
+
+  // Primary matches refresh the element's fingerprint, and its reference
+  // crop when missing or resized; fallbacks are recorded as heals
+  async recordLocator(key, selectors, strategy, failed, candidate) {
+    if (!this.locators) return;
+    if (failed.length === 0) {
+      const fingerprint = await this.matcher.capture(candidate.locator).catch(() => null);
+      this.locators.recordMatch(key, fingerprint);
+      if (fingerprint && this.strategies.includes('visual') && this.locators.needsReference(key, fingerprint.box)) {
+        const crop = await this.visualMatcher.capture(candidate.locator).catch(() => null);
+        if (crop) this.locators.recordReference(key, crop.png, crop.box);
+      }
+      return;
+    }
+    this.locators.recordHeal(key, {
+      strategy,
+      failed: [...failed],
+      healedWith: candidate.selector,
+      score: candidate.score ?? null,
+      source: selectors.source || null,
+      url: this.page.url()
+    });
+  }
+
+  // Stable attributes of a matched element win over its DOM path
+  preferredSelector(fingerprint) {
+    const testId = fingerprint.attributes['data-testid'];
+    if (testId) return `[data-testid="${testId}"]`;
+    if (fingerprint.attributes.id && /^[A-Za-z][\w-]*$/.test(fingerprint.attributes.id)) {
+      return `#${fingerprint.attributes.id}`;
+    }
+    return fingerprint.selector;
   }
 
   async clickElement(selectors) {
-    const element = await this.findElement(selectors);
+    const element = await this.findElement(selectors, null, { intent: 'click' });
     await element.click();
   }
 
   async typeInElement(selectors, text) {
-    const element = await this.findElement(selectors);
+    const element = await this.findElement(selectors, null, { intent: 'type' });
     await element.fill(text);
   }
 
   async waitForElement(selectors, options = {}) {
-    const element = await this.findElement(selectors);
+    const element = await this.findElement(selectors, null, { timeout: options.timeout });
     await element.waitFor(options);
     return element;
   }
 
+  async hoverElement(selectors) {
+    const element = await this.findElement(selectors);
+    await element.hover();
+  }
+
+  // Without `values`, the first enabled option not already selected, so the
+  // change handler fires
+  async selectOption(selectors, values = null) {
+    const element = await this.findElement(selectors, null, { intent: 'select' });
+    const choice = values ?? await element.evaluate(el =>
+      [...(el.options || [])].find(option => !option.selected && !option.disabled)?.value ?? null
+    );
+    if (choice === null) {
+      throw new Error(`No other option to select with selectors: ${JSON.stringify(selectors)}`);
+    }
+    return element.selectOption(choice);
+  }
+
+  async checkElement(selectors) {
+    const element = await this.findElement(selectors, null, { intent: 'check' });
+    await element.check();
+  }
+
+  async uncheckElement(selectors) {
+    const element = await this.findElement(selectors, null, { intent: 'check' });
+    await element.uncheck();
+  }
+
+  // A key or shortcut ('Enter', 'Control+S') pressed in the element, or on
+  // the page when `selectors` is null
+  async pressKey(selectors, key) {
+    if (!selectors) {
+      await this.page.keyboard.press(key);
+      return;
+    }
+    const element = await this.findElement(selectors, null, { intent: 'press' });
+    await element.press(key);
+  }
+
+  async dragTo(selectors, targetSelectors) {
+    const source = await this.findElement(selectors);
+    const target = await this.findElement(targetSelectors);
+    await source.dragTo(target);
+  }
+
+  // File inputs are usually hidden behind a styled label
+  async setInputFiles(selectors, files) {
+    const element = await this.findElement(selectors, null, { intent: 'upload', actionable: false });
+    await element.setInputFiles(files);
+  }
+
+  async scrollIntoView(selectors) {
+    const element = await this.findElement(selectors, null, { actionable: false });
+    await element.scrollIntoViewIfNeeded();
+  }
+
+  // Assertions locate their element like actions, then poll it until
+  // `options.timeout` (default TIMEOUT) for the expected state
+  async expectText(selectors, expected, options = {}) {
+    const element = await this.findElement(selectors, null, { timeout: options.timeout, actionable: false });
+    await this.expectState(
+      selectors,
+      options.exact ? `text "${expected}"` : `text containing "${expected}"`,
+      async () => ((await element.textContent()) || '').replace(/\s+/g, ' ').trim(),
+      actual => (options.exact ? actual === expected : actual.includes(expected)),
+      options.timeout
+    );
+  }
+
+  async expectVisible(selectors, options = {}) {
+    const element = await this.findElement(selectors, null, { timeout: options.timeout, actionable: false });
+    await this.expectState(selectors, 'visible', () => element.isVisible(), visible => visible, options.timeout);
+  }
+
+  async expectValue(selectors, expected, options = {}) {
+    const element = await this.findElement(selectors, null, { timeout: options.timeout, actionable: false });
+    await this.expectState(selectors, `value "${expected}"`, () => element.inputValue(), actual => actual === String(expected), options.timeout);
+  }
+
+  async expectState(selectors, description, read, matches, timeout = this.timeout) {
+    const startTime = Date.now();
+    while (true) {
+      const actual = await read();
+      if (matches(actual)) return;
+      
+      const elapsed = Date.now() - startTime;
+      if (elapsed >= timeout) {
+        throw new Error(`Expected ${description} for selectors: ${JSON.stringify(selectors)}, got ${JSON.stringify(actual)}`);
+      }
+      await this.page.waitForTimeout(Math.min(this.retryDelay, timeout - elapsed));
+    }
+  }
+
   getHealingStats() {
     const total = this.healingAttempts.length;
     const successful = this.healingAttempts.filter(a => a.success).length;
+    // Found by a fallback after the primary locator failed
+    const healed = this.healingAttempts.filter(a => a.success && a.failedSelectors.length > 0).length;
+    // Found by the primary locator only after waiting: slow renders, not
+    // broken selectors
+    const waited = this.healingAttempts.filter(a => a.success && a.failedSelectors.length === 0 && a.passes > 1).length;
+    // Healed onto an element that does not fit the descriptor's intent
+    const lowConfidence = this.healingAttempts.filter(a => a.lowConfidence).length;
+    const durations = this.healingAttempts.map(a => a.duration);
     const byStrategy = {};
     
     this.healingAttempts.forEach(attempt => {
-      const key = attempt.strategy.toString();
-      byStrategy[key] = (byStrategy[key] || 0) + 1;
+      byStrategy[attempt.strategy] = (byStrategy[attempt.strategy] || 0) + 1;
     });
     
+    const resolved = this.ambiguities.filter(a => a.resolved).length;
+    
     return {
       total,
       successful,
+      healed,
+      waited,
+      lowConfidence,
+      averageResolutionMs: total > 0 ? Math.round(durations.reduce((sum, d) => sum + d, 0) / total) : 0,
       successRate: total > 0 ? (successful / total * 100).toFixed(2) : 0,
-      byStrategy
+      byStrategy,
+      ambiguous: {
+        total: this.ambiguities.length,
+        resolved,
+        rejected: this.ambiguities.length - resolved,
+        cases: this.ambiguities
+      }
     };
   }
 }
@@ -163,9 +740,13 @@ export class ChangeAwareTestGenerator {
       }
       
       // Generate API tests for changed endpoints
-      if (file.includes('api/') || file.includes('services/')) {
+      if (file.includes('api/') || file.includes('services/') ||
+          Object.keys(changes.httpCalls || {}).length > 0) {
         tests.push(...this.generateAPITests(file, changes));
       }
+      
+      // Flag callers that still import removed files or exports
+      tests.push(...this.generateBrokenImportTests(file, changes));
     }
     
     return tests;
@@ -178,15 +759,16 @@ export class ChangeAwareTestGenerator {
     Object.entries(changes.functions).forEach(([funcName, changeType]) => {
       if (changeType === 'deleted') return;
       
+      const element = this.findWiredElement(funcName, changes.elements || []);
       const test = {
         name: `UI Test: ${funcName} in ${file}`,
         file,
         function: funcName,
         changeType,
-        targetLines: changes.lines.modified,
+        targetLines: this.functionLines(changes, funcName),
         type: 'ui',
-        selectors: this.generateSelectors(file, funcName),
-        actions: this.generateActions(funcName, changes)
+        selectors: this.generateSelectors(file, funcName, element),
+        actions: this.generateActions(funcName, changes, element)
       };
       
       tests.push(test);
@@ -212,30 +794,81 @@ export class ChangeAwareTestGenerator {
     Object.entries(changes.functions).forEach(([funcName, changeType]) => {
       if (changeType === 'deleted') return;
       
-      const endpoint = this.deriveEndpoint(file, funcName);
-      const method = this.deriveHTTPMethod(funcName);
+      const requests = resolveRequests(changes.httpCalls?.[funcName], () => ({
+        path: this.deriveEndpoint(file, funcName),
+        method: this.deriveHTTPMethod(funcName)
+      }));
       
-      tests.push({
-        name: `API Test: ${funcName} in ${file}`,
-        file,
-        function: funcName,
-        endpoint,
-        method,
-        changeType,
-        targetLines: changes.lines.modified,
-        type: 'api',
-        validations: this.generateValidations(funcName, changes)
+      requests.forEach(({ path: endpoint, method, traced }) => {
+        tests.push({
+          name: `API Test: ${funcName} in ${file}`,
+          file,
+          function: funcName,
+          endpoint,
+          method,
+          traced,
+          changeType,
+          targetLines: this.functionLines(changes, funcName),
+          type: 'api',
+          validations: this.generateValidations(funcName, changes)
+        });
       });
     });
     
     return tests;
   }
 
-  generateSelectors(file, funcName) {
+  // Added and modified lines within the function's range in the new file
+  functionLines(changes, funcName) {
+    const changed = [...new Set([...changes.lines.added, ...changes.lines.modified])].sort((a, b) => a - b);
+    const range = changes.functionDetails?.[funcName]?.lines;
+    return range ? changed.filter(line => line >= range.start && line <= range.end) : changed;
+  }
+
+  generateBrokenImportTests(file, changes) {
+    const target = changes.previousFile || file;
+    let reason = `no longer exports ${(changes.removedExports || []).join(', ')}`;
+    if (changes.status === 'deleted') reason = 'was deleted';
+    if (changes.status === 'renamed') reason = `was renamed to ${file}`;
+    
+    return (changes.staleImporters || []).map(importer => ({
+      name: `Broken Import: ${importer.file} -> ${target}`,
+      file: importer.file,
+      target,
+      specifier: importer.specifier,
+      importedNames: importer.names,
+      type: 'broken-import',
+      reason: `${target} ${reason}`
+    }));
+  }
+
+  // The JSX element (recorded by the change analyzer) that wires the
+  // function as an event handler, or else the main element of the component
+  // the function renders
+  findWiredElement(funcName, elements) {
+    for (const element of elements) {
+      const event = Object.keys(element.handlers).find(e => element.handlers[e] === funcName);
+      if (event) return { ...element, event };
+    }
+    
+    const rendered = elements.filter(element => element.component === funcName && element.intrinsic);
+    const main = rendered.find(e => e.testId || Object.keys(e.handlers).length > 0) || rendered[0];
+    return main ? { ...main, event: Object.keys(main.handlers)[0] || null } : null;
+  }
+
+  generateSelectors(file, funcName, element = null) {
     // Smart selector generation based on component
     const componentName = path.basename(file, path.extname(file));
     
+    // A composite component (`<Button onClick={load}>`) often carries no
+    // attribute a tier can match; it is located by name like an unwired
+    // function instead
+    if (element && this.hasLocator(element)) {
+      return this.selectorsFromElement(file, funcName, element);
+    }
+    
     return {
+      key: `${file}::${funcName}`,
       testId: `${componentName}-${funcName}`.toLowerCase(),
       css: `.${componentName}`,
       role: this.inferRole(funcName),
@@ -247,8 +880,75 @@ export class ChangeAwareTestGenerator {
     };
   }
 
-  generateActions(funcName, changes) {
+  // Whether a healing tier can find the element from its own attributes
+  hasLocator(element) {
+    return Boolean(element.testId || element.id || element.ariaLabel || element.text ||
+      (element.intrinsic && element.classNames.length > 0));
+  }
+
+  // Self-healing descriptor built from the element's real attributes
+  selectorsFromElement(file, funcName, element) {
+    const name = element.ariaLabel || element.text;
+    const classes = element.classNames.map(c => `.${c}`).join('');
+    const handler = element.event ? element.handlers[element.event] : null;
+    const selectors = {
+      // Logical name, stable when the element's attributes drift
+      key: `${file}::${handler || element.component || funcName}::${element.tag}`,
+      testId: element.testId,
+      id: element.id,
+      css: classes ? `${element.intrinsic ? element.tag : ''}${classes}` : null,
+      role: element.role || this.inferRole(funcName),
+      name,
+      text: element.text,
+      description: name || element.placeholder,
+      source: {
+        file,
+        line: element.line,
+        component: element.component,
+        handler,
+        event: element.event
+      }
+    };
+    
+    Object.keys(selectors).forEach(key => {
+      if (selectors[key] == null) delete selectors[key];
+    });
+    
+    return selectors;
+  }
+
+  generateActions(funcName, changes, element = null) {
     const actions = [];
+    const event = element?.event;
+    
+    // The wired event decides the interaction when the analyzer found one;
+    // change handlers of choices are driven by picking one
+    const choiceActions = {
+      checkbox: { type: 'check' },
+      radio: { type: 'check' },
+      switch: { type: 'check' },
+      combobox: element?.tag === 'select' ? { type: 'selectOption' } : null,
+      listbox: element?.tag === 'select' ? { type: 'selectOption' } : null
+    };
+    if (event === 'onChange' && choiceActions[element.role]) {
+      return [{ ...choiceActions[element.role] }];
+    }
+    
+    const eventActions = {
+      onClick: { type: 'click', verify: 'response' },
+      onDoubleClick: { type: 'click', verify: 'response' },
+      onChange: { type: 'input', value: 'test', verify: 'validation' },
+      onInput: { type: 'input', value: 'test', verify: 'validation' },
+      onSubmit: { type: 'submit', verify: 'success' },
+      onMouseEnter: { type: 'hover' },
+      onMouseOver: { type: 'hover' },
+      onKeyDown: { type: 'press', key: 'Enter' },
+      onKeyUp: { type: 'press', key: 'Enter' },
+      onKeyPress: { type: 'press', key: 'Enter' }
+    };
+    if (eventActions[event]) {
+      return [{ ...eventActions[event] }];
+    }
     
     if (funcName.includes('handle') || funcName.includes('on')) {
       actions.push({ type: 'click', verify: 'response' });
@@ -0,0 +1,159 @@
+import { writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+
+// JS source for a value: object keys unquoted where possible, strings
+// single-quoted, nested objects indented
+function literal(value, indent = '') {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+  if (typeof value !== 'object') return String(value);
+
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    if (value.every(item => item === null || typeof item !== 'object')) return `[${value.map(item => literal(item)).join(', ')}]`;
+    return `[\n${value.map(item => `${inner}${literal(item, inner)}`).join(',\n')}\n${indent}]`;
+  }
+
+  const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+  if (entries.length === 0) return '{}';
+  const key = name => (/^[A-Za-z_$][\w$]*$/.test(name) ? name : literal(name));
+  return `{\n${entries.map(([name, v]) => `${inner}${key(name)}: ${literal(v, inner)}`).join(',\n')}\n${indent}}`;
+}
+
+// [3, 4, 5, 9] -> '3-5, 9'
+function lineRanges(lines = []) {
+  const sorted = [...new Set(lines)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) last[1] = line;
+    else ranges.push([line, line]);
+  }
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+// Writes generated UI tests as @playwright/test spec files that run the
+// same self-healing lookups and actions as TestRunner, for review and
+// commit. Specs import the framework from `root`/test-scripts.
+export class SpecWriter {
+  constructor(outDir, root) {
+    this.outDir = outDir;
+    this.root = root;
+    this.written = new Set();
+  }
+
+  // Path of the written spec. `route` is the page path the test opens,
+  // resolved against the Playwright baseURL.
+  write(test, route) {
+    mkdirSync(this.outDir, { recursive: true });
+    const file = path.join(this.outDir, this.fileName(test));
+    writeFileSync(file, this.render(test, route));
+    return file;
+  }
+
+  fileName(test) {
+    const base = `${path.basename(test.file, path.extname(test.file))}.${test.function}`.replace(/[^\w.-]+/g, '_');
+    let name = `${base}.spec.js`;
+    for (let n = 2; this.written.has(name); n++) name = `${base}-${n}.spec.js`;
+    this.written.add(name);
+    return name;
+  }
+
+  importPath(target) {
+    const relative = path.relative(this.outDir, path.join(this.root, target)).split(path.sep).join('/');
+    return relative.startsWith('.') ? relative : `./${relative}`;
+  }
+
+  render(test, route) {
+    const header = [
+      '// Generated by `npm run export:specs`; review, edit and commit it like any test.',
+      `// Source: ${test.file}`,
+      `// Function: ${test.function}${test.changeType ? ` (${test.changeType})` : ''}`,
+      `// Changed lines: ${lineRanges(test.targetLines) || 'none recorded'}`
+    ];
+    const body = test.actions.flatMap(action => this.renderAction(action)).join('\n').split('\n').map(line => `  ${line}`);
+
+    return `${header.join('\n')}
+import { test, expect } from '@playwright/test';
+import { fileURLToPath } from 'url';
+import { SelfHealingTest } from '${this.importPath('test-scripts/self-healing-framework.js')}';
+import { LocatorRepository } from '${this.importPath('test-scripts/locator-repository.js')}';
+
+const healingConfig = SelfHealingTest.loadConfig(fileURLToPath(new URL('${this.importPath('test-config.json')}', import.meta.url)));
+
+// Self-healing descriptor of the element under test
+const selectors = ${literal(test.selectors)};
+
+test(${literal(test.name)}, async ({ page }) => {
+  // Recorded fingerprints and reference crops feed the healing tiers; the
+  // store is not saved, as spec files run in parallel
+  const healing = new SelfHealingTest(page, { ...healingConfig, locators: new LocatorRepository() });
+  // Room for each lookup to use the whole healing timeout, so a missing
+  // element fails with the framework's error, not Playwright's test timeout
+  test.setTimeout(${test.actions.length + 1} * healing.timeout);
+
+  await page.goto(${literal(route)});
+${body.join('\n')}
+
+  // A heal onto an element that does not fit its action fails the test, as
+  // in the runner
+  const lowConfidence = healing.healingAttempts
+    .filter(attempt => attempt.lowConfidence)
+    .flatMap(attempt => attempt.verification.map(issue => \`\${attempt.selector}: \${issue}\`));
+  expect(lowConfidence, 'low-confidence heals').toEqual([]);
+});
+`;
+  }
+
+  // Statements for one action, mirroring TestRunner#executeAction
+  renderAction(action) {
+    const target = action.selectors ? literal(action.selectors) : 'selectors';
+    // Trailing options argument, when there are any
+    const options = fields => {
+      const defined = Object.entries(fields).filter(([, value]) => value !== undefined);
+      return defined.length > 0 ? `, ${literal(Object.fromEntries(defined))}` : '';
+    };
+
+    switch (action.type) {
+      case 'click':
+        return [
+          `await healing.clickElement(${target});`,
+          ...(action.verify === 'response' ? ["await page.waitForLoadState('networkidle');"] : [])
+        ];
+      case 'input':
+        return [`await healing.typeInElement(${target}, ${literal(action.value || 'test input')});`];
+      case 'submit':
+        return [
+          `await healing.clickElement({ ...${target}, role: 'button', text: 'Submit' });`,
+          ...(action.verify === 'success'
+            ? ["await healing.waitForElement({ text: 'Success', css: '.success-message', role: 'status' }, { timeout: 5000 });"]
+            : [])
+        ];
+      case 'hover':
+        return [`await healing.hoverElement(${target});`];
+      case 'selectOption':
+        return [`await healing.selectOption(${target}${action.value !== undefined ? `, ${literal(action.value)}` : ''});`];
+      case 'check':
+        return [`await healing.checkElement(${target});`];
+      case 'uncheck':
+        return [`await healing.uncheckElement(${target});`];
+      case 'press':
+        return [`await healing.pressKey(${action.scope === 'page' ? 'null' : target}, ${literal(action.key)});`];
+      case 'dragTo':
+        return [`await healing.dragTo(${target}, ${literal(action.target)});`];
+      case 'setInputFiles':
+        return [`await healing.setInputFiles(${target}, ${literal(action.files)});`];
+      case 'scrollIntoView':
+        return [`await healing.scrollIntoView(${target});`];
+      case 'expectText':
+        return [`await healing.expectText(${target}, ${literal(action.text)}${options({ timeout: action.timeout, exact: action.exact })});`];
+      case 'expectVisible':
+        return [`await healing.expectVisible(${target}${options({ timeout: action.timeout })});`];
+      case 'expectValue':
+        return [`await healing.expectValue(${target}, ${literal(action.value)}${options({ timeout: action.timeout })});`];
+      default:
+        throw new Error(`Unknown action type "${action.type}"`);
+    }
+  }
+}
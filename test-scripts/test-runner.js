@@ -3,7 +3,12 @@ import { readFileSync, existsSync, writeFileSync, mkdirSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { parseArgs } from 'util';
 import { SelfHealingTest, ChangeAwareTestGenerator } from './self-healing-framework.js';
+import { LocatorRepository } from './locator-repository.js';
+import { AccessibilityTree } from './accessibility-tree.js';
+import { SpecWriter } from './spec-writer.js';
+import { ScenarioLoader } from './scenario-loader.js';
 import chalk from 'chalk';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -16,15 +21,27 @@ class TestRunner {
       api: [],
       visual: [],
       integration: [],
+      scenarios: [],
       healing: {
         attempts: 0,
         successful: 0,
-        byStrategy: {}
-      }
+        waited: 0,
+        lowConfidence: 0,
+        byStrategy: {},
+        ambiguous: []
+      },
+      // Interactive elements without an accessible name
+      accessibility: []
     };
     
     this.changeDetails = this.loadChangeDetails();
     this.browsers = ['chromium']; // Start with one, expand if needed
+    this.healingConfig = SelfHealingTest.loadConfig(path.join(__dirname, '../test-config.json'));
+    this.locators = new LocatorRepository();
+    this.selectorDrift = [];
+    this.accessibility = new AccessibilityTree();
+    this.accessibilityChecked = new Set();
+    this.scenarioLoader = new ScenarioLoader();
   }
 
   loadChangeDetails() {
@@ -35,11 +52,17 @@ class TestRunner {
     return null;
   }
 
-  async execute() {
+  // `options.exportSpecs` writes the generated UI tests as Playwright spec
+  // files to `options.out` instead of running them
+  async execute(options = {}) {
     console.log(chalk.blue('Starting change-focused test execution...'));
     
     // Check if we have changes to test
     if (!this.changeDetails || Object.keys(this.changeDetails.files).length === 0) {
+      if (options.exportSpecs) {
+        console.log(chalk.yellow('No recent changes detected. No spec files to export.'));
+        return [];
+      }
       console.log(chalk.yellow('No recent changes detected. Running critical path tests only.'));
       return await this.runCriticalPathTests();
     }
@@ -52,16 +75,32 @@ class TestRunner {
     
     console.log(chalk.green(`Generated ${tests.length} targeted tests`));
     
+    if (options.exportSpecs) {
+      return this.exportSpecs(tests, options.out);
+    }
+    
     // Group tests by type
     const uiTests = tests.filter(t => t.type === 'ui');
     const apiTests = tests.filter(t => t.type === 'api');
     const visualTests = tests.filter(t => t.type === 'visual');
+    const brokenImports = tests.filter(t => t.type === 'broken-import');
+    
+    // Callers of removed files/exports fail without running a browser
+    if (brokenImports.length > 0) {
+      this.recordBrokenImports(brokenImports);
+    }
     
     // Execute UI tests with self-healing
     if (uiTests.length > 0) {
       await this.runUITests(uiTests);
     }
     
+    // Execute the scenario files covering the changes
+    const scenarios = this.loadSelectedScenarios();
+    if (scenarios.length > 0) {
+      await this.runScenarios(scenarios);
+    }
+    
     // Execute API tests (handled by api-tester.js)
     if (apiTests.length > 0) {
       console.log(chalk.blue(`API tests: ${apiTests.length} endpoints to test`));
@@ -98,22 +137,28 @@ class TestRunner {
         console.log(chalk.gray(`Testing: ${test.name}`));
         
         const page = await context.newPage();
-        const selfHealing = new SelfHealingTest(page);
+        const selfHealing = new SelfHealingTest(page, {
+          ...this.healingConfig,
+          locators: this.locators,
+          evidenceDir: path.join(__dirname, '../test-results/healing')
+        });
+        
+        const testResult = {
+          name: test.name,
+          file: test.file,
+          function: test.function,
+          targetLines: test.targetLines,
+          actions: [],
+          accessibilityWarnings: []
+        };
         
         try {
           // Navigate to component/page
           const url = this.deriveTestURL(test.file);
           await page.goto(url);
+          testResult.accessibilityWarnings = await this.checkAccessibleNames(page, test);
           
           // Execute test actions with self-healing
-          const testResult = {
-            name: test.name,
-            file: test.file,
-            function: test.function,
-            targetLines: test.targetLines,
-            actions: []
-          };
-          
           for (const action of test.actions) {
             try {
               const actionResult = await this.executeAction(
@@ -125,7 +170,10 @@ class TestRunner {
               testResult.actions.push({
                 type: action.type,
                 success: true,
-                healingUsed: actionResult.healingUsed
+                healingUsed: actionResult.healingUsed,
+                lowConfidence: actionResult.lowConfidence.length > 0,
+                verification: actionResult.lowConfidence,
+                resolution: actionResult.resolution
               });
             } catch (error) {
               testResult.actions.push({
@@ -136,30 +184,19 @@ class TestRunner {
             }
           }
           
-          // Check if all actions passed
-          testResult.success = testResult.actions.every(a => a.success);
-          
-          // Get healing stats
-          const healingStats = selfHealing.getHealingStats();
-          this.results.healing.attempts += healingStats.total;
-          this.results.healing.successful += healingStats.successful;
-          
-          // Merge healing strategy stats
-          Object.entries(healingStats.byStrategy).forEach(([strategy, count]) => {
-            this.results.healing.byStrategy[strategy] = 
-              (this.results.healing.byStrategy[strategy] || 0) + count;
-          });
-          
-          this.results.ui.push(testResult);
+          // Check if all actions passed; a heal onto an element that does
+          // not fit the action is not a pass
+          testResult.lowConfidence = testResult.actions.some(a => a.lowConfidence);
+          testResult.success = testResult.actions.every(a => a.success) && !testResult.lowConfidence;
           
         } catch (error) {
-          this.results.ui.push({
-            name: test.name,
-            file: test.file,
-            success: false,
-            error: error.message
-          });
+          testResult.success = false;
+          testResult.error = error.message;
         } finally {
+          // Heals made before a failed navigation or step still count
+          testResult.healingTimeline = this.healingTimeline(selfHealing);
+          this.recordHealingStats(selfHealing, test.name);
+          this.results.ui.push(testResult);
           await page.close();
         }
       }
@@ -168,8 +205,203 @@ class TestRunner {
     }
   }
 
-  async executeAction(selfHealing, action, selectors) {
+  recordHealingStats(selfHealing, testName) {
+    const healingStats = selfHealing.getHealingStats();
+    this.results.healing.attempts += healingStats.total;
+    this.results.healing.successful += healingStats.successful;
+    this.results.healing.waited += healingStats.waited;
+    this.results.healing.lowConfidence += healingStats.lowConfidence;
+    
+    // Merge healing strategy stats
+    Object.entries(healingStats.byStrategy).forEach(([strategy, count]) => {
+      this.results.healing.byStrategy[strategy] = 
+        (this.results.healing.byStrategy[strategy] || 0) + count;
+    });
+    this.results.healing.ambiguous.push(...healingStats.ambiguous.cases.map(a => ({ ...a, test: testName })));
+  }
+
+  // Scenarios the change analyzer selected, reloaded from their files with
+  // the reasons they were selected
+  loadSelectedScenarios() {
+    const selected = this.changeDetails.scenarios || [];
+    const files = [...new Set(selected.map(scenario => scenario.file))];
+    
+    return files.flatMap(file => this.scenarioLoader.load(file))
+      .flatMap(scenario => {
+        const selection = selected.find(s => s.file === scenario.file && s.name === scenario.name);
+        return selection ? [{ ...scenario, reasons: selection.reasons }] : [];
+      });
+  }
+
+  // Runs each scenario's steps in order on one page. A failed action ends
+  // the scenario, as later steps depend on the state it leaves behind.
+  async runScenarios(scenarios) {
+    console.log(chalk.blue(`\nExecuting ${scenarios.length} scenarios...`));
+    
+    const browser = await chromium.launch({ headless: true });
+    const context = await browser.newContext({
+      viewport: { width: 1280, height: 720 },
+      ignoreHTTPSErrors: true
+    });
+    
+    for (const scenario of scenarios) {
+      console.log(chalk.gray(`Scenario: ${scenario.name} (${scenario.reasons.join('; ')})`));
+      
+      const page = await context.newPage();
+      const selfHealing = new SelfHealingTest(page, {
+        ...this.healingConfig,
+        locators: this.locators,
+        evidenceDir: path.join(__dirname, '../test-results/healing')
+      });
+      const scenarioResult = {
+        name: scenario.name,
+        file: scenario.file,
+        reasons: scenario.reasons,
+        steps: [],
+        accessibilityWarnings: []
+      };
+      
+      try {
+        for (const [index, step] of scenario.steps.entries()) {
+          const stepResult = { name: step.name || `Step ${index + 1}`, url: step.url, actions: [] };
+          scenarioResult.steps.push(stepResult);
+          
+          if (step.url) {
+            await page.goto(this.testURL(step.url));
+            scenarioResult.accessibilityWarnings.push(
+              ...await this.checkAccessibleNames(page, { file: scenario.file, function: scenario.name })
+            );
+          }
+          
+          for (const action of step.actions) {
+            try {
+              const actionResult = await this.executeAction(selfHealing, action, action.selectors);
+              stepResult.actions.push({
+                type: action.type,
+                success: true,
+                healingUsed: actionResult.healingUsed,
+                lowConfidence: actionResult.lowConfidence.length > 0,
+                verification: actionResult.lowConfidence,
+                resolution: actionResult.resolution
+              });
+            } catch (error) {
+              stepResult.actions.push({ type: action.type, success: false, error: error.message });
+              break;
+            }
+          }
+          
+          stepResult.success = stepResult.actions.length === step.actions.length &&
+            stepResult.actions.every(a => a.success);
+          if (!stepResult.success) break;
+        }
+        
+        scenarioResult.lowConfidence = scenarioResult.steps.some(s => s.actions.some(a => a.lowConfidence));
+        scenarioResult.success = scenarioResult.steps.length === scenario.steps.length &&
+          scenarioResult.steps.every(s => s.success) && !scenarioResult.lowConfidence;
+      } catch (error) {
+        scenarioResult.success = false;
+        scenarioResult.error = error.message;
+      } finally {
+        scenarioResult.healingTimeline = this.healingTimeline(selfHealing);
+        this.recordHealingStats(selfHealing, scenario.name);
+        this.results.scenarios.push(scenarioResult);
+        await page.close();
+      }
+    }
+    
+    await browser.close();
+  }
+
+  // Every heal of a test in order, with its screenshots, DOM snippet and
+  // tier timings, for reviewing the heal from the report
+  healingTimeline(selfHealing, from = 0) {
+    return selfHealing.healingAttempts.slice(from)
+      .filter(attempt => attempt.evidence)
+      .map(attempt => ({
+        at: new Date(attempt.timestamp).toISOString(),
+        element: selfHealing.elementKey(attempt.selectors),
+        strategy: attempt.strategy,
+        duration: attempt.duration,
+        lowConfidence: attempt.lowConfidence,
+        verification: attempt.verification,
+        ...attempt.evidence
+      }));
+  }
+
+  // Interactive elements without an accessible name in a changed
+  // component: its root element when the analyzer recorded one with a test
+  // ID or id, or else (approximately) the parent of the test's element,
+  // located by its primary test ID, id or CSS selector. When neither matches
+  // (and for scenarios) the whole page is scanned and the warnings are marked
+  // page-wide. Each container is reported once per URL.
+  async checkAccessibleNames(page, test) {
+    const url = page.url();
+    const container = await this.componentContainer(page, test);
+    const checked = `${url} ${container?.selector || ''}`;
+    if (this.accessibilityChecked.has(checked)) return [];
+    this.accessibilityChecked.add(checked);
+    
+    const unnamed = await this.accessibility.unnamedInteractive(container?.locator || page).catch(() => []);
+    const warnings = unnamed.map(element => ({
+      ...element,
+      url,
+      scope: container ? container.selector : 'page',
+      approximate: Boolean(container?.approximate),
+      file: test.file,
+      function: test.function
+    }));
+    this.results.accessibility.push(...warnings);
+    return warnings;
+  }
+
+  // The scanned element of a test's component, without healing:
+  // { selector, locator, approximate }. Waits briefly for it to render.
+  async componentContainer(page, test) {
+    const selectors = test.selectors || {};
+    const unique = async selector => {
+      await page.locator(selector).first().waitFor({ state: 'attached', timeout: 2000 }).catch(() => {});
+      return await page.locator(selector).count().catch(() => 0) === 1;
+    };
+    
+    const root = this.componentRoot(test);
+    if (root && await unique(root)) {
+      return { selector: root, locator: page.locator(root), approximate: false };
+    }
+    
+    const primary = [
+      selectors.testId && `[data-testid="${selectors.testId}"]`,
+      selectors.id && `#${selectors.id}`,
+      selectors.css
+    ].filter(Boolean);
+    if (primary.length === 0) return null;
+    
+    await page.locator(primary.join(', ')).first().waitFor({ state: 'attached', timeout: 2000 }).catch(() => {});
+    for (const selector of primary) {
+      const element = page.locator(selector);
+      if (await element.count().catch(() => 0) === 1) {
+        return { selector, locator: element.locator('xpath=..'), approximate: true };
+      }
+    }
+    return null;
+  }
+
+  // Selector of the outermost element the test's component renders, from
+  // the elements the change analyzer recorded for the file
+  componentRoot(test) {
+    const component = test.selectors?.source?.component || test.function;
+    const elements = this.changeDetails?.files?.[test.file]?.elements || [];
+    const root = elements.find(element => element.root && element.component === component && (element.testId || element.id));
+    if (!root) return null;
+    return root.testId ? `[data-testid="${root.testId}"]` : `#${root.id}`;
+  }
+
+  // An action's `selectors` descriptor overrides the test's, so one test
+  // can act on several elements
+  async executeAction(selfHealing, action, testSelectors) {
     const result = { healingUsed: false };
+    const attemptsBefore = selfHealing.healingAttempts.length;
+    const selectors = action.selectors || testSelectors;
+    const timeout = action.timeout ? { timeout: action.timeout } : {};
     
     switch (action.type) {
       case 'click':
@@ -217,14 +449,73 @@ class TestRunner {
           }, { timeout: 5000 });
         }
         break;
+        
+      case 'hover':
+        await selfHealing.hoverElement(selectors);
+        break;
+        
+      case 'selectOption':
+        await selfHealing.selectOption(selectors, action.value ?? null);
+        break;
+        
+      case 'check':
+        await selfHealing.checkElement(selectors);
+        break;
+        
+      case 'uncheck':
+        await selfHealing.uncheckElement(selectors);
+        break;
+        
+      case 'press':
+        // `scope: 'page'` sends the shortcut to the page, not the element
+        await selfHealing.pressKey(action.scope === 'page' ? null : selectors, action.key);
+        break;
+        
+      case 'dragTo':
+        await selfHealing.dragTo(selectors, action.target);
+        break;
+        
+      case 'setInputFiles':
+        await selfHealing.setInputFiles(selectors, action.files);
+        break;
+        
+      case 'scrollIntoView':
+        await selfHealing.scrollIntoView(selectors);
+        break;
+        
+      case 'expectText':
+        await selfHealing.expectText(selectors, action.text, { ...timeout, exact: action.exact });
+        break;
+        
+      case 'expectVisible':
+        await selfHealing.expectVisible(selectors, timeout);
+        break;
+        
+      case 'expectValue':
+        await selfHealing.expectValue(selectors, action.value, timeout);
+        break;
+        
+      default:
+        throw new Error(`Unknown action type "${action.type}"`);
     }
     
     // Check if healing was used
     const stats = selfHealing.getHealingStats();
-    if (stats.total > 0 && stats.byStrategy['1'] !== stats.total) {
+    if (stats.healed > 0) {
       result.healingUsed = true;
     }
     
+    // Verification failures of the heals made by this action
+    result.lowConfidence = selfHealing.healingAttempts.slice(attemptsBefore)
+      .filter(a => a.lowConfidence)
+      .flatMap(a => a.verification.map(issue => `${a.selector}: ${issue}`));
+    
+    // Winning tier and time to resolve the action's element
+    const last = selfHealing.healingAttempts[selfHealing.healingAttempts.length - 1];
+    result.resolution = last
+      ? { strategy: last.strategy, duration: last.duration, passes: last.passes, tierTimings: last.tierTimings }
+      : null;
+    
     return result;
   }
 
@@ -299,7 +590,7 @@ class TestRunner {
     
     for (const change of crossFileChanges) {
       const page = await context.newPage();
-      const selfHealing = new SelfHealingTest(page);
+      const selfHealing = new SelfHealingTest(page, { ...this.healingConfig, locators: this.locators });
       
       try {
         // Test the integration between changed files
@@ -359,12 +650,33 @@ class TestRunner {
     await browser.close();
   }
 
+  recordBrokenImports(tests) {
+    console.log(chalk.red(`\n${tests.length} modules still import removed code`));
+    
+    for (const test of tests) {
+      console.log(chalk.gray(`${test.file}: ${test.reason}`));
+      this.results.integration.push({
+        name: test.name,
+        source: test.file,
+        target: test.target,
+        type: 'broken-import',
+        importedNames: test.importedNames,
+        success: false,
+        error: `Imports ${test.importedNames.join(', ') || test.specifier} but ${test.reason}`
+      });
+    }
+  }
+
   async runCriticalPathTests() {
     console.log(chalk.yellow('Running critical path tests...'));
     
     const browser = await chromium.launch({ headless: true });
     const page = await browser.newPage();
-    const selfHealing = new SelfHealingTest(page);
+    const selfHealing = new SelfHealingTest(page, {
+      ...this.healingConfig,
+      locators: this.locators,
+      evidenceDir: path.join(__dirname, '../test-results/healing')
+    });
     
     const criticalPaths = [
       {
@@ -385,6 +697,7 @@ class TestRunner {
     ];
     
     for (const path of criticalPaths) {
+      const attemptsBefore = selfHealing.healingAttempts.length;
       try {
         await page.goto(path.url);
         await selfHealing.waitForElement(path.selectors, { timeout: 10000 });
@@ -392,7 +705,8 @@ class TestRunner {
         this.results.ui.push({
           name: path.name,
           type: 'critical-path',
-          success: true
+          success: true,
+          healingTimeline: this.healingTimeline(selfHealing, attemptsBefore)
         });
       } catch (error) {
         this.results.ui.push({
@@ -405,6 +719,16 @@ class TestRunner {
     }
     
     await browser.close();
+    this.saveLocatorDrift();
+  }
+
+  // Persists healed locators and writes the selector drift report with the
+  // suggested replacement for every element that needed healing
+  saveLocatorDrift() {
+    this.locators.save();
+    this.selectorDrift = this.locators.writeDriftReport(
+      path.join(__dirname, '../test-results/selector-drift.json')
+    );
   }
 
   detectCrossBoundaryChanges() {
@@ -444,18 +768,50 @@ class TestRunner {
   }
 
   deriveTestURL(file) {
+    return this.testURL(this.deriveTestPath(file));
+  }
+
+  // Page path resolved against TEST_URL; absolute URLs are kept
+  testURL(pathname) {
+    if (/^https?:\/\//.test(pathname)) return pathname;
     const base = process.env.TEST_URL || 'http://localhost:3000';
+    return `${base.replace(/\/$/, '')}${pathname.startsWith('/') ? '' : '/'}${pathname}`;
+  }
+
+  deriveTestPath(file) {
+    // Routes discovered by the change analyzer (nearest page mounting the file)
+    const route = this.changeDetails?.files[file]?.routes?.[0];
+    if (route) {
+      return route.url;
+    }
     
     if (file.includes('pages/')) {
-      const pageName = path.basename(file, path.extname(file));
-      return `${base}/${pageName}`;
+      return `/${path.basename(file, path.extname(file))}`;
     }
     
     if (file.includes('components/')) {
-      return `${base}/component-test`;
+      return '/component-test';
     }
     
-    return base;
+    return '/';
+  }
+
+  // Generated UI tests as @playwright/test spec files, run with
+  // `npm run test:specs`. API tests stay with api-tester.js.
+  // Tests without actions are not exported: a spec that only opens the
+  // page would pass without checking anything
+  exportSpecs(tests, outDir = 'tests/generated') {
+    const uiTests = tests.filter(t => t.type === 'ui');
+    const actionable = uiTests.filter(t => t.actions.length > 0);
+    const writer = new SpecWriter(path.resolve(outDir), path.join(__dirname, '..'));
+    
+    const files = actionable.map(test => writer.write(test, this.deriveTestPath(test.file)));
+    console.log(chalk.green(`Exported ${files.length} spec files to ${outDir}`));
+    files.forEach(file => console.log(chalk.gray(`  ${path.relative(process.cwd(), file)}`)));
+    if (actionable.length < uiTests.length) {
+      console.log(chalk.yellow(`Skipped ${uiTests.length - actionable.length} tests without actions`));
+    }
+    return files;
   }
 
   async verifyIntegration(page, change) {
@@ -494,6 +850,7 @@ class TestRunner {
 
   saveResults() {
     const outputPath = path.join(__dirname, '../test-results/test-execution-results.json');
+    this.saveLocatorDrift();
     
     const summary = {
       timestamp: new Date().toISOString(),
@@ -517,14 +874,20 @@ class TestRunner {
         integration: {
           total: this.results.integration.length,
           passed: this.results.integration.filter(r => r.success).length
+        },
+        scenarios: {
+          total: this.results.scenarios.length,
+          passed: this.results.scenarios.filter(r => r.success).length
         }
       },
       healing: {
         ...this.results.healing,
         successRate: this.results.healing.attempts > 0 
           ? (this.results.healing.successful / this.results.healing.attempts * 100).toFixed(2)
-          : 0
+          : 0,
+        driftingSelectors: this.selectorDrift.length
       },
+      accessibilityWarnings: this.results.accessibility.length,
       details: this.results
     };
     
@@ -539,6 +902,15 @@ class TestRunner {
     
     console.log(chalk.green(`UI Tests: ${uiPassed}/${uiTotal} passed`));
     
+    const lowConfidence = this.results.ui.filter(r => r.lowConfidence);
+    if (lowConfidence.length > 0) {
+      console.log(chalk.yellow(`Low-confidence heals (${lowConfidence.length} tests, not counted as passed):`));
+      lowConfidence.forEach(r => {
+        console.log(`  ${r.name}`);
+        r.actions.flatMap(a => a.verification || []).forEach(issue => console.log(chalk.gray(`    ${issue}`)));
+      });
+    }
+    
     if (this.results.visual.length > 0) {
       const visualPassed = this.results.visual.filter(r => r.success).length;
       console.log(chalk.green(`Visual Tests: ${visualPassed}/${this.results.visual.length} passed`));
@@ -549,25 +921,76 @@ class TestRunner {
       console.log(chalk.green(`Integration Tests: ${intPassed}/${this.results.integration.length} passed`));
     }
     
+    if (this.results.scenarios.length > 0) {
+      const scenariosPassed = this.results.scenarios.filter(r => r.success).length;
+      console.log(chalk.green(`Scenarios: ${scenariosPassed}/${this.results.scenarios.length} passed`));
+      this.results.scenarios.filter(r => !r.success).forEach(r => {
+        const step = r.steps.find(s => !s.success || s.actions.some(a => a.lowConfidence));
+        const action = step?.actions.find(a => !a.success || a.lowConfidence);
+        const detail = action?.error || action?.verification?.join('; ') || r.error || 'low-confidence heal';
+        console.log(chalk.red(`  ${r.name} (${r.file})${step ? `, ${step.name}` : ''}${action ? ` ${action.type}` : ''}: ${detail}`));
+      });
+    }
+    
     if (this.results.healing.attempts > 0) {
       console.log(chalk.yellow(`\nSelf-Healing Stats:`));
       console.log(`- Total attempts: ${this.results.healing.attempts}`);
       console.log(`- Successful: ${this.results.healing.successful}`);
       console.log(`- Success rate: ${this.results.healing.successRate}%`);
+      console.log(`- Found by primary locator after waiting (slow render): ${this.results.healing.waited}`);
+      console.log(`- Low-confidence heals: ${this.results.healing.lowConfidence}`);
+      const heals = [...this.results.ui, ...this.results.scenarios]
+        .reduce((sum, r) => sum + (r.healingTimeline?.length || 0), 0);
+      if (heals > 0) {
+        console.log(`- Heal evidence (screenshots, DOM snippets, tier timings): ${heals} heals, screenshots in test-results/healing/`);
+      }
       
       console.log(`- By strategy:`);
       Object.entries(this.results.healing.byStrategy).forEach(([strategy, count]) => {
         const strategyNames = {
-          '1': 'ID/TestID',
-          '2': 'CSS',
-          '3': 'XPath',
-          '4': 'Text',
-          '5': 'Visual',
-          '6': 'AI Fallback',
-          'failed': 'Failed'
+          testId: 'ID/TestID',
+          css: 'CSS',
+          xpath: 'XPath',
+          text: 'Text',
+          role: 'Role',
+          accessibility: 'Accessibility Tree',
+          fingerprint: 'Fingerprint',
+          visual: 'Visual',
+          ai: 'AI Fallback',
+          failed: 'Failed'
         };
         console.log(`  ${strategyNames[strategy] || strategy}: ${count}`);
       });
+      
+      const ambiguous = this.results.healing.ambiguous;
+      if (ambiguous.length > 0) {
+        const rejected = ambiguous.filter(a => !a.resolved).length;
+        console.log(`- Ambiguous matches: ${ambiguous.length} (${ambiguous.length - rejected} narrowed, ${rejected} rejected)`);
+        ambiguous.forEach(a => {
+          const outcome = a.resolved ? `narrowed by ${a.narrowedBy.join(', ')}` : 'rejected';
+          console.log(chalk.gray(`  ${a.selector} matched ${a.candidates} elements, ${outcome}`));
+        });
+      }
+    }
+    
+    if (this.selectorDrift.length > 0) {
+      console.log(chalk.yellow(`\nSelector Drift (${this.selectorDrift.length} elements rely on healing):`));
+      this.selectorDrift.forEach(drift => {
+        const where = drift.source ? ` (${drift.source.file}:${drift.source.line})` : '';
+        console.log(`  ${drift.element}${where}`);
+        console.log(chalk.gray(`    broken: ${drift.brokenSelectors.join(', ')}`));
+        console.log(chalk.green(`    suggested: ${drift.suggestedSelector}`));
+      });
+    }
+    
+    if (this.results.accessibility.length > 0) {
+      console.log(chalk.yellow(`\nAccessibility (${this.results.accessibility.length} interactive elements without an accessible name):`));
+      this.results.accessibility.forEach(warning => {
+        const where = warning.landmarks ? ` in ${warning.landmarks}` : '';
+        const scope = warning.scope === 'page' ? 'page-wide'
+          : warning.approximate ? `around ${warning.scope}, approximate` : `in ${warning.scope}`;
+        console.log(`  ${warning.role}${where}, ${scope} (${warning.file}, ${warning.url})`);
+      });
     }
     
     // Print changed coverage
@@ -582,6 +1005,18 @@ class TestRunner {
   }
 }
 
+function parseCliOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'export-specs': { type: 'boolean' },
+      out: { type: 'string' }
+    }
+  });
+
+  return { exportSpecs: Boolean(values['export-specs']), out: values.out };
+}
+
 // Execute tests
 const runner = new TestRunner();
-await runner.execute();
+await runner.execute(parseCliOptions(process.argv.slice(2)));
@@ -0,0 +1,227 @@
+import { PNG } from 'pngjs';
+
+const DEFAULT_THRESHOLD = 0.9;
+// Milliseconds a match may spend correlating pixels before giving up
+const DEFAULT_BUDGET = 1000;
+// Templates are downscaled until their shorter side is about this many
+// pixels, and always by at least MIN_SCALE for the coarse pass
+const TARGET_TEMPLATE_SIZE = 12;
+const MIN_SCALE = 2;
+const MAX_SCALE = 4;
+// CSS pixels searched around the element's last known box
+const SEARCH_MARGIN = 400;
+
+// Runs in the browser: unique CSS path of the element rendered at document
+// coordinates (x, y), descending into open shadow roots
+function elementPathAt({ x, y }) {
+  window.scrollTo(x - window.innerWidth / 2, y - window.innerHeight / 2);
+  const viewX = x - window.scrollX;
+  const viewY = y - window.scrollY;
+
+  let el = document.elementFromPoint(viewX, viewY);
+  while (el && el.shadowRoot) {
+    const inner = el.shadowRoot.elementFromPoint(viewX, viewY);
+    if (!inner || inner === el) break;
+    el = inner;
+  }
+  if (!el || el === document.documentElement || el === document.body) return null;
+
+  const steps = [];
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const tag = node.tagName.toLowerCase();
+    const siblings = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [node];
+    steps.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+  }
+  return steps.join(' > ');
+}
+
+// Finds an element by its looks: a reference crop captured on a passing run
+// is matched against screenshots of the area around its last known box and of
+// the viewport with normalized cross-correlation, and the element at the best
+// match is hit-tested. Each match gives up after `budget` ms.
+export class VisualMatcher {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    this.budget = options.budget ?? DEFAULT_BUDGET;
+  }
+
+  // The element's crop and its box in document CSS pixels: { png, box }
+  async capture(locator) {
+    const element = locator.first();
+    const png = await element.screenshot({ animations: 'disabled' });
+    const box = await element.evaluate(el => {
+      const rect = el.getBoundingClientRect();
+      return {
+        x: Math.round(rect.x + window.scrollX),
+        y: Math.round(rect.y + window.scrollY),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height)
+      };
+    });
+    return { png, box };
+  }
+
+  // Document region (CSS pixels) best matching the reference at or above
+  // the threshold: { x, y, width, height, score }. `box` is where the element
+  // was when the reference was captured.
+  async match(page, reference, box = null) {
+    const view = await page.evaluate(() => ({
+      x: window.scrollX,
+      y: window.scrollY,
+      width: window.innerWidth,
+      height: window.innerHeight,
+      documentWidth: document.documentElement.scrollWidth,
+      documentHeight: document.documentElement.scrollHeight,
+      ratio: window.devicePixelRatio || 1
+    }));
+    const template = PNG.sync.read(reference);
+    const deadline = Date.now() + this.budget;
+
+    const areas = [
+      box && { x: box.x - SEARCH_MARGIN, y: box.y - SEARCH_MARGIN, width: box.width + 2 * SEARCH_MARGIN, height: box.height + 2 * SEARCH_MARGIN },
+      { x: view.x, y: view.y, width: view.width, height: view.height }
+    ].filter(Boolean);
+
+    for (const area of areas) {
+      const clip = this.clamp(area, view);
+      if (clip.width * view.ratio < template.width || clip.height * view.ratio < template.height) continue;
+
+      const screenshot = await page.screenshot({ fullPage: true, clip, animations: 'disabled' });
+      const found = this.search(PNG.sync.read(screenshot), template, deadline);
+      if (found) {
+        return {
+          x: clip.x + found.x / view.ratio,
+          y: clip.y + found.y / view.ratio,
+          width: template.width / view.ratio,
+          height: template.height / view.ratio,
+          score: found.score
+        };
+      }
+      if (Date.now() >= deadline) break;
+    }
+
+    return null;
+  }
+
+  clamp(area, view) {
+    const x = Math.max(0, Math.round(area.x));
+    const y = Math.max(0, Math.round(area.y));
+    return {
+      x,
+      y,
+      width: Math.max(0, Math.min(view.documentWidth, Math.round(area.x + area.width)) - x),
+      height: Math.max(0, Math.min(view.documentHeight, Math.round(area.y + area.height)) - y)
+    };
+  }
+
+  // Best position of the template in the image (image pixels) at or above
+  // the threshold: a coarse pass on both downscaled, refined at full
+  // resolution around its hit
+  search(image, template, deadline) {
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, Math.floor(Math.min(template.width, template.height) / TARGET_TEMPLATE_SIZE)));
+
+    const coarse = this.bestMatch(this.grayscale(image, scale), this.grayscale(template, scale), deadline);
+    if (!coarse) return null;
+
+    // The downscaled grid can miss the exact offset by up to `scale` pixels:
+    // search that neighbourhood at full resolution
+    const left = Math.max(0, coarse.x * scale - scale);
+    const top = Math.max(0, coarse.y * scale - scale);
+    const around = this.grayscale(image, 1, {
+      x: left,
+      y: top,
+      width: Math.min(image.width - left, template.width + 2 * scale),
+      height: Math.min(image.height - top, template.height + 2 * scale)
+    });
+    const best = this.bestMatch(around, this.grayscale(template, 1), deadline);
+    if (!best || best.score < this.threshold) return null;
+
+    return { x: left + best.x, y: top + best.y, score: Math.round(best.score * 1000) / 1000 };
+  }
+
+  // CSS path of the element at the centre of a matched region
+  async elementAt(page, region) {
+    return page.evaluate(elementPathAt, { x: region.x + region.width / 2, y: region.y + region.height / 2 });
+  }
+
+  // Luminance of `area` (the whole image by default) downscaled by
+  // averaging `scale` x `scale` blocks
+  grayscale(png, scale, area = { x: 0, y: 0, width: png.width, height: png.height }) {
+    const width = Math.floor(area.width / scale);
+    const height = Math.floor(area.height / scale);
+    const pixels = new Float32Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            const i = ((area.y + y * scale + dy) * png.width + (area.x + x * scale + dx)) * 4;
+            sum += 0.299 * png.data[i] + 0.587 * png.data[i + 1] + 0.114 * png.data[i + 2];
+          }
+        }
+        pixels[y * width + x] = sum / (scale * scale);
+      }
+    }
+
+    return { width, height, pixels };
+  }
+
+  // Position of the highest normalized cross-correlation. Window means and
+  // variances come from integral images; flat templates cannot be matched.
+  // Null once `deadline` (epoch ms) passes.
+  bestMatch(image, template, deadline = Infinity) {
+    const { width: iw, height: ih, pixels: I } = image;
+    const { width: tw, height: th, pixels: T } = template;
+    if (tw === 0 || th === 0 || tw > iw || th > ih) return null;
+
+    const n = tw * th;
+    let templateMean = 0;
+    for (let i = 0; i < n; i++) templateMean += T[i];
+    templateMean /= n;
+
+    const centred = new Float32Array(n);
+    let templateVariance = 0;
+    for (let i = 0; i < n; i++) {
+      centred[i] = T[i] - templateMean;
+      templateVariance += centred[i] * centred[i];
+    }
+    if (templateVariance / n < 1) return null;
+
+    const sum = new Float64Array((iw + 1) * (ih + 1));
+    const squares = new Float64Array((iw + 1) * (ih + 1));
+    for (let y = 0; y < ih; y++) {
+      for (let x = 0; x < iw; x++) {
+        const v = I[y * iw + x];
+        const at = (y + 1) * (iw + 1) + x + 1;
+        sum[at] = v + sum[at - 1] + sum[at - iw - 1] - sum[at - iw - 2];
+        squares[at] = v * v + squares[at - 1] + squares[at - iw - 1] - squares[at - iw - 2];
+      }
+    }
+    const area = (table, x, y) =>
+      table[(y + th) * (iw + 1) + x + tw] - table[y * (iw + 1) + x + tw] -
+      table[(y + th) * (iw + 1) + x] + table[y * (iw + 1) + x];
+
+    let best = null;
+    for (let y = 0; y <= ih - th; y++) {
+      if (Date.now() > deadline) return null;
+      for (let x = 0; x <= iw - tw; x++) {
+        const windowSum = area(sum, x, y);
+        const windowVariance = area(squares, x, y) - (windowSum * windowSum) / n;
+        if (windowVariance <= 0) continue;
+
+        let cross = 0;
+        for (let ty = 0; ty < th; ty++) {
+          const row = (y + ty) * iw + x;
+          const templateRow = ty * tw;
+          for (let tx = 0; tx < tw; tx++) cross += I[row + tx] * centred[templateRow + tx];
+        }
+
+        const score = cross / Math.sqrt(windowVariance * templateVariance);
+        if (!best || score > best.score) best = { x, y, score };
+      }
+    }
+
+    return best;
+  }
+}